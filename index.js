@@ -8,12 +8,19 @@
  */
 
 require('dotenv').config();
-const { Client, Intents, Routes } = require('discord.js');
+const { Client, GatewayIntentBits, Routes, PermissionFlagsBits } = require('discord.js');
 const express = require('express');
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 
 const app = express();
-app.use(express.json());
+// Keep the exact request bytes around for webhook signature checks
+app.use(express.json({
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    },
+}));
 
 // Helper to get base URL from MERIDUS_URL
 function getBaseUrl() {
@@ -31,7 +38,20 @@ const {
     MERIDUS_URL,
     MERIDUS_API_KEY,
     GITHUB_WEBHOOK_SECRET,
-    GITHUB_TOKEN
+    GITHUB_WEBHOOK_REPO_SECRETS,
+    GITLAB_WEBHOOK_TOKEN,
+    GITEA_WEBHOOK_SECRET,
+    GITHUB_TOKEN,
+    GITHUB_APP_ID,
+    GITHUB_APP_PRIVATE_KEY_PATH,
+    DATA_DIR = './data',
+    SUBSCRIPTION_STORE = 'json',
+    SUBSCRIPTION_STORE_PATH,
+    WEBHOOK_DELIVERY_RETENTION_HOURS = '72',
+    NOTIFICATION_CONCURRENCY = '2',
+    NOTIFICATION_MAX_ATTEMPTS = '8',
+    DIGEST_HOUR_UTC = '9',
+    WEBHOOK_RECORD_DIR
 } = process.env;
 
 // Embed color constants
@@ -47,18 +67,2325 @@ const EmbedColors = {
 const client = new Client({
     intents: [
         3276799, // All intents except GUILD_PRESENCES and GUILD_MEMBERS (to avoid privileged intents)
-        Intents.FLAGS.GUILD_PRESENCES,
-        Intents.FLAGS.GUILD_MEMBERS,
+        GatewayIntentBits.GuildPresences,
+        GatewayIntentBits.GuildMembers,
     ],
 });
 
 // Bot state
 const botState = {
-    subscriptions: new Map(), // channelId -> { repos: [], events: [] }
+    subscriptions: new Map(), // channelId -> { guildId, settings?, templates?, repos: [{ repo, events: [] }] }
+    recentRepoMatches: new Map(), // `${channelId}|${pattern}` -> Map(repo -> last matched ISO time)
+    deliveries: new Map(), // X-GitHub-Delivery ID -> delivery record, oldest first
+    notificationQueue: [], // pending Discord sends, oldest first
+    deadLetters: new Map(), // dead letter ID -> notification that could not be sent, oldest first
+    installations: new Map(), // GitHub App installation ID -> { id, account, accountType, repositorySelection, repos, suspended }
+    digests: new Map(), // 'channel:<id>' or 'user:<id>' -> events collected for the next digest
+    deletedHooks: new Map(), // lowercased repo -> { repo, hookId, deletedAt, deletedBy } for hooks removed on GitHub
+    starMilestones: new Map(), // lowercased repo -> { repo, announced: { [stars]: delivery ID } }
     connected: false,
     startTime: Date.now(),
 };
 
+// ============================================
+// Discord Message Limits
+// ============================================
+
+// Every message the bot sends goes through buildDiscordMessages, which keeps it
+// within Discord's limits (Discord rejects the whole message otherwise) and
+// makes sure text from GitHub cannot ping anyone.
+
+const DISCORD_LIMITS = {
+    content: 2000,
+    embedsPerMessage: 10,
+    embedTotal: 6000, // all embeds of one message together
+    title: 256,
+    description: 4096,
+    fields: 25,
+    fieldName: 256,
+    fieldValue: 1024,
+    footer: 2048,
+    authorName: 256,
+};
+
+// discord.js option: never notify users, roles, @everyone or @here
+const NO_MENTIONS = { parse: [] };
+
+// Break @everyone, @here and user/role mentions with a zero-width space so they
+// show as plain text. Channel links (<#id>) are left alone.
+function sanitizeMentions(text) {
+    return text
+        .replace(/@(everyone|here)\b/g, '@\u200b$1')
+        .replace(/<@([!&]?\d+)>/g, '<@\u200b$1>');
+}
+
+// Close a code block left open by a cut
+function closeCodeBlock(text) {
+    return (text.match(/```/g) || []).length % 2 === 1 ? `${text}\n\`\`\`` : text;
+}
+
+// Cut text to the limit at a line or word break near the end, marking the cut
+// with an ellipsis
+function truncateText(text, limit) {
+    if (text.length <= limit) return text;
+
+    // Room for the ellipsis and a closing code fence
+    let cut = text.slice(0, limit - 5);
+    const breakAt = Math.max(cut.lastIndexOf('\n'), cut.lastIndexOf(' '));
+    if (breakAt > cut.length * 0.8) {
+        cut = cut.slice(0, breakAt);
+    }
+    return closeCodeBlock(`${cut.trimEnd()}…`);
+}
+
+// Split text into pieces of at most limit characters, at line breaks where
+// possible. Code blocks cut in two are closed and reopened.
+function splitText(text, limit) {
+    const pieces = [];
+    let rest = text;
+    while (rest.length > limit) {
+        const room = limit - 4;
+        let cut = rest.lastIndexOf('\n', room);
+        if (cut < room / 2) cut = rest.lastIndexOf(' ', room);
+        if (cut < room / 2) cut = room;
+
+        const piece = rest.slice(0, cut);
+        rest = rest.slice(cut).replace(/^[\n ]/, '');
+        const closed = closeCodeBlock(piece);
+        if (closed !== piece) {
+            rest = `\`\`\`\n${rest}`;
+        }
+        pieces.push(closed);
+    }
+    pieces.push(rest);
+    return pieces;
+}
+
+// Characters Discord counts towards the 6000 per-message total
+function getEmbedLength(embed) {
+    return (embed.title?.length || 0) +
+        (embed.description?.length || 0) +
+        (embed.footer?.text?.length || 0) +
+        (embed.author?.name?.length || 0) +
+        (embed.fields || []).reduce((sum, f) => sum + f.name.length + f.value.length, 0);
+}
+
+// Apply the per-embed limits to one embed. Long descriptions, long field
+// values and extra fields continue in follow-up embeds of the same colour;
+// the footer and timestamp move to the last one.
+function buildEmbeds(embed) {
+    const clean = (value) => sanitizeMentions(value === undefined || value === null ? '' : String(value));
+    const { footer, timestamp, fields: rawFields, description, ...head } = embed;
+
+    if (head.title) {
+        head.title = truncateText(clean(head.title), DISCORD_LIMITS.title);
+    }
+    if (head.author?.name) {
+        head.author = { ...head.author, name: truncateText(clean(head.author.name), DISCORD_LIMITS.authorName) };
+    }
+    const footerText = footer?.text ? truncateText(clean(footer.text), DISCORD_LIMITS.footer) : null;
+
+    const fields = [];
+    for (const field of rawFields || []) {
+        const name = truncateText(clean(field.name), DISCORD_LIMITS.fieldName) || '\u200b';
+        const parts = splitText(clean(field.value) || '\u200b', DISCORD_LIMITS.fieldValue);
+        parts.forEach((value, i) => fields.push({
+            name: i === 0 ? name : '\u200b',
+            value,
+            ...(parts.length === 1 && field.inline !== undefined ? { inline: field.inline } : {}),
+        }));
+    }
+
+    const descriptions = description ? splitText(clean(description), DISCORD_LIMITS.description) : [];
+    const budget = DISCORD_LIMITS.embedTotal - (footerText?.length || 0);
+    const continuation = (text) => ({ ...(head.color !== undefined ? { color: head.color } : {}), ...(text ? { description: text } : {}), fields: [] });
+
+    const embeds = [{ ...head, ...(descriptions[0] ? { description: descriptions[0] } : {}), fields: [] }];
+    for (const text of descriptions.slice(1)) {
+        embeds.push(continuation(text));
+    }
+    for (const field of fields) {
+        let current = embeds[embeds.length - 1];
+        if (current.fields.length >= DISCORD_LIMITS.fields ||
+            getEmbedLength(current) + field.name.length + field.value.length > budget) {
+            current = continuation();
+            embeds.push(current);
+        }
+        current.fields.push(field);
+    }
+
+    const last = embeds[embeds.length - 1];
+    if (footer) {
+        last.footer = { ...footer, ...(footerText !== null ? { text: footerText } : {}) };
+    }
+    if (timestamp) {
+        last.timestamp = timestamp;
+    }
+    for (const built of embeds) {
+        if (built.fields.length === 0) delete built.fields;
+    }
+    return embeds;
+}
+
+// Turn a message ({ content?, embeds?, ...options }) into one or more messages
+// that Discord accepts: at most 10 embeds and 6000 embed characters each.
+// Content and other options stay on the first message.
+function buildDiscordMessages(message) {
+    const { content, embeds = [], ...options } = message;
+
+    const groups = [[]];
+    let total = 0;
+    for (const embed of embeds.flatMap(buildEmbeds)) {
+        const length = getEmbedLength(embed);
+        const group = groups[groups.length - 1];
+        if (group.length > 0 &&
+            (group.length >= DISCORD_LIMITS.embedsPerMessage || total + length > DISCORD_LIMITS.embedTotal)) {
+            groups.push([embed]);
+            total = length;
+        } else {
+            group.push(embed);
+            total += length;
+        }
+    }
+
+    return groups.map((group, i) => ({
+        ...(i === 0 ? options : {}),
+        ...(i === 0 && content ? { content: truncateText(sanitizeMentions(String(content)), DISCORD_LIMITS.content) } : {}),
+        ...(group.length > 0 ? { embeds: group } : {}),
+        allowedMentions: NO_MENTIONS,
+    }));
+}
+
+// ============================================
+// Subscription Storage
+// ============================================
+
+// Bump this and add an entry to subscriptionMigrations whenever the
+// shape of a stored channel subscription changes.
+const SUBSCRIPTION_SCHEMA_VERSION = 2;
+
+// Upgrade steps keyed by the schema version they migrate from.
+// Each receives a single channel subscription and returns the next shape.
+const subscriptionMigrations = {
+    // v1 -> v2: the channel-wide event list is copied onto each repo
+    1: (sub) => ({
+        repos: [...new Set(sub.repos || [])].map(repo => ({
+            repo,
+            events: [...(sub.events || [])],
+        })),
+    }),
+};
+
+function migrateSubscriptions(entries, fromVersion) {
+    if (fromVersion > SUBSCRIPTION_SCHEMA_VERSION) {
+        throw new Error(`Subscription data uses schema v${fromVersion}, but this bot only understands up to v${SUBSCRIPTION_SCHEMA_VERSION}`);
+    }
+
+    let migrated = entries;
+    for (let version = fromVersion; version < SUBSCRIPTION_SCHEMA_VERSION; version++) {
+        const migrate = subscriptionMigrations[version];
+        if (!migrate) {
+            throw new Error(`No migration defined for subscription schema v${version}`);
+        }
+        migrated = migrated.map(([channelId, sub]) => [channelId, migrate(sub)]);
+    }
+    return migrated;
+}
+
+// Write to a temp file in the same directory, fsync, then rename over the
+// target so a crash mid-write never leaves a truncated file behind.
+async function writeFileAtomic(filePath, contents) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    const handle = await fs.promises.open(tmpPath, 'w');
+    try {
+        await handle.writeFile(contents);
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+    await fs.promises.rename(tmpPath, filePath);
+}
+
+// Read and parse a JSON file, returning fallback if it does not exist yet
+async function readJsonFile(filePath, fallback) {
+    try {
+        return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return fallback;
+        throw err;
+    }
+}
+
+// Debounced whole-file writer for small JSON state files. schedule() folds a
+// burst of changes into one write; flush() writes now and resolves when done.
+function createJsonFileWriter(filePath, getData, delay = 1000) {
+    let timer = null;
+    let writeChain = Promise.resolve();
+
+    function flush() {
+        clearTimeout(timer);
+        timer = null;
+        const contents = JSON.stringify(getData());
+        writeChain = writeChain.catch(() => {}).then(() => writeFileAtomic(filePath, contents));
+        return writeChain;
+    }
+
+    function schedule() {
+        if (timer) return;
+        timer = setTimeout(() => {
+            flush().catch(err => console.error(`[Storage] Failed to write ${filePath}:`, err.message));
+        }, delay);
+        timer.unref?.();
+    }
+
+    return { schedule, flush };
+}
+
+// Local JSON file backend - the whole subscription set lives in one document
+function createJsonSubscriptionStore(filePath) {
+    const subscriptions = new Map();
+    let writeChain = Promise.resolve();
+
+    function flush() {
+        const contents = JSON.stringify({
+            schemaVersion: SUBSCRIPTION_SCHEMA_VERSION,
+            savedAt: new Date().toISOString(),
+            subscriptions: Object.fromEntries(subscriptions),
+        }, null, 2);
+        // Serialize writes so an older snapshot can never land after a newer one
+        writeChain = writeChain.catch(() => {}).then(() => writeFileAtomic(filePath, contents));
+        return writeChain;
+    }
+
+    return {
+        driver: 'json',
+        location: filePath,
+
+        async load() {
+            const data = await readJsonFile(filePath, null);
+            if (!data) return [];
+
+            const fromVersion = data.schemaVersion || 1;
+            const entries = migrateSubscriptions(Object.entries(data.subscriptions || {}), fromVersion);
+            subscriptions.clear();
+            for (const [channelId, sub] of entries) {
+                subscriptions.set(channelId, sub);
+            }
+            if (fromVersion !== SUBSCRIPTION_SCHEMA_VERSION) {
+                await flush();
+            }
+            return entries;
+        },
+
+        async saveChannel(channelId, sub) {
+            subscriptions.set(channelId, JSON.parse(JSON.stringify(sub)));
+            await flush();
+        },
+
+        async deleteChannel(channelId) {
+            subscriptions.delete(channelId);
+            await flush();
+        },
+
+        async replaceAll(entries) {
+            subscriptions.clear();
+            for (const [channelId, sub] of entries) {
+                subscriptions.set(channelId, JSON.parse(JSON.stringify(sub)));
+            }
+            await flush();
+        },
+    };
+}
+
+// Embedded SQLite backend - one row per channel, schema version in a meta table
+function createSqliteSubscriptionStore(filePath) {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (err) {
+        throw new Error('SUBSCRIPTION_STORE=sqlite requires the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const db = new Database(filePath);
+    db.pragma('journal_mode = WAL');
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS meta (
+            key TEXT PRIMARY KEY,
+            value TEXT NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS subscriptions (
+            channel_id TEXT PRIMARY KEY,
+            data TEXT NOT NULL,
+            updated_at TEXT NOT NULL
+        );
+    `);
+
+    const getVersion = db.prepare(`SELECT value FROM meta WHERE key = 'schema_version'`);
+    const setVersion = db.prepare(`INSERT INTO meta (key, value) VALUES ('schema_version', ?)
+        ON CONFLICT(key) DO UPDATE SET value = excluded.value`);
+    const selectAll = db.prepare('SELECT channel_id, data FROM subscriptions');
+    const upsert = db.prepare(`INSERT INTO subscriptions (channel_id, data, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT(channel_id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`);
+    const remove = db.prepare('DELETE FROM subscriptions WHERE channel_id = ?');
+    const removeAll = db.prepare('DELETE FROM subscriptions');
+
+    const writeEntries = db.transaction((entries) => {
+        const now = new Date().toISOString();
+        for (const [channelId, sub] of entries) {
+            upsert.run(channelId, JSON.stringify(sub), now);
+        }
+        setVersion.run(String(SUBSCRIPTION_SCHEMA_VERSION));
+    });
+
+    const replaceEntries = db.transaction((entries) => {
+        removeAll.run();
+        writeEntries(entries);
+    });
+
+    return {
+        driver: 'sqlite',
+        location: filePath,
+
+        async load() {
+            const rows = selectAll.all();
+            const stored = getVersion.get();
+            const fromVersion = stored ? parseInt(stored.value, 10) : SUBSCRIPTION_SCHEMA_VERSION;
+            const entries = migrateSubscriptions(
+                rows.map(row => [row.channel_id, JSON.parse(row.data)]),
+                fromVersion
+            );
+            if (!stored || fromVersion !== SUBSCRIPTION_SCHEMA_VERSION) {
+                writeEntries(entries);
+            }
+            return entries;
+        },
+
+        async saveChannel(channelId, sub) {
+            writeEntries([[channelId, sub]]);
+        },
+
+        async deleteChannel(channelId) {
+            remove.run(channelId);
+        },
+
+        async replaceAll(entries) {
+            replaceEntries(entries);
+        },
+    };
+}
+
+function createSubscriptionStore() {
+    const driver = SUBSCRIPTION_STORE.toLowerCase();
+    if (driver === 'json') {
+        return createJsonSubscriptionStore(SUBSCRIPTION_STORE_PATH || path.join(DATA_DIR, 'subscriptions.json'));
+    }
+    if (driver === 'sqlite') {
+        return createSqliteSubscriptionStore(SUBSCRIPTION_STORE_PATH || path.join(DATA_DIR, 'subscriptions.db'));
+    }
+    throw new Error(`Unknown SUBSCRIPTION_STORE "${SUBSCRIPTION_STORE}" (expected "json" or "sqlite")`);
+}
+
+const subscriptionStore = createSubscriptionStore();
+
+// Populate the in-memory cache from the configured store
+async function loadSubscriptions() {
+    const entries = await subscriptionStore.load();
+    botState.subscriptions.clear();
+    for (const [channelId, sub] of entries) {
+        botState.subscriptions.set(channelId, sub);
+    }
+    console.log(`[Storage] Loaded ${entries.length} channel subscription(s) from ${subscriptionStore.driver} store (${subscriptionStore.location})`);
+}
+
+// ============================================
+// Subscription Model
+// ============================================
+
+// Events a new (channel, repo) pair receives when none are given
+const DEFAULT_SUBSCRIPTION_EVENTS = ['push', 'issues', 'pull_request', 'release'];
+
+// Pattern lists a (channel, repo) pair can carry, with display labels
+const SUBSCRIPTION_FILTER_LISTS = {
+    excludeRepos: 'Excluded repos',
+    branches: 'Branches',
+    labels: 'Labels',
+    authors: 'Authors',
+    senders: 'Senders',
+};
+
+// How many concrete repos to remember per wildcard subscription for /list
+const MAX_RECENT_REPO_MATCHES = 10;
+
+// Find the entry for a repo within a channel subscription (case-insensitive, like GitHub)
+function findRepoSubscription(sub, repo) {
+    const wanted = repo.toLowerCase();
+    return sub?.repos.find(entry => entry.repo.toLowerCase() === wanted) || null;
+}
+
+// Get or create a channel's subscription, recording its guild when known
+function ensureChannelSubscription(channelId, guildId = null) {
+    if (!botState.subscriptions.has(channelId)) {
+        botState.subscriptions.set(channelId, { guildId: null, repos: [] });
+    }
+    const sub = botState.subscriptions.get(channelId);
+    if (guildId) {
+        sub.guildId = guildId;
+    }
+    return sub;
+}
+
+// Channel-wide settings (set with /config); only non-default values are stored
+const CHANNEL_SETTING_DEFAULTS = {
+    coalesceSeconds: 0,
+    digest: 'instant',
+    private: false,
+};
+const MAX_COALESCE_SECONDS = 600;
+const DIGEST_MODES = ['instant', 'hourly', 'daily'];
+
+function getChannelSettings(channelId) {
+    return { ...CHANNEL_SETTING_DEFAULTS, ...botState.subscriptions.get(channelId)?.settings };
+}
+
+// Validate a settings object from the API or an import file.
+// Returns { settings, errors }; settings is undefined when raw is.
+function normalizeChannelSettings(raw) {
+    if (raw === undefined || raw === null) {
+        return { settings: undefined, errors: [] };
+    }
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+        return { settings: undefined, errors: ['settings must be an object'] };
+    }
+
+    const errors = [];
+    const settings = {};
+    for (const [key, value] of Object.entries(raw)) {
+        switch (key) {
+            case 'coalesceSeconds':
+                if (!Number.isInteger(value) || value < 0 || value > MAX_COALESCE_SECONDS) {
+                    errors.push(`settings.coalesceSeconds must be a whole number from 0 to ${MAX_COALESCE_SECONDS}`);
+                } else if (value > 0) {
+                    settings.coalesceSeconds = value;
+                }
+                break;
+            case 'digest':
+                if (!DIGEST_MODES.includes(value)) {
+                    errors.push(`settings.digest must be one of: ${DIGEST_MODES.join(', ')}`);
+                } else if (value !== 'instant') {
+                    settings.digest = value;
+                }
+                break;
+            case 'private':
+                if (typeof value !== 'boolean') {
+                    errors.push('settings.private must be true or false');
+                } else if (value) {
+                    settings.private = true;
+                }
+                break;
+            default:
+                errors.push(`settings.${key} is not a known setting`);
+        }
+    }
+    return { settings, errors };
+}
+
+// Human-readable lines for the channel settings that differ from the defaults
+function describeChannelSettings(settings = {}) {
+    const lines = [];
+    if (settings.coalesceSeconds > 0) {
+        lines.push(`Group bursts of related events for ${settings.coalesceSeconds}s`);
+    }
+    if (settings.digest && settings.digest !== 'instant') {
+        lines.push(`Send a ${settings.digest} digest instead of individual messages`);
+    }
+    if (settings.private) {
+        lines.push('Private: receives secret scanning alerts');
+    }
+    return lines;
+}
+
+// Create the (channel, repo) pair if needed and apply changes to it.
+// Fields left out of changes keep their current values.
+function upsertRepoSubscription(channelId, repo, changes = {}) {
+    const sub = ensureChannelSubscription(channelId);
+    let entry = findRepoSubscription(sub, repo);
+    if (!entry) {
+        entry = { repo, events: [...DEFAULT_SUBSCRIPTION_EVENTS] };
+        sub.repos.push(entry);
+    }
+    if (changes.events) {
+        entry.events = [...new Set(changes.events)];
+    }
+    for (const key of Object.keys(SUBSCRIPTION_FILTER_LISTS)) {
+        if (changes[key]) {
+            entry[key] = [...new Set(changes[key])];
+        }
+    }
+    if (typeof changes.ignoreBots === 'boolean') {
+        entry.ignoreBots = changes.ignoreBots;
+    }
+    if (typeof changes.failuresOnly === 'boolean') {
+        entry.failuresOnly = changes.failuresOnly;
+    }
+    if (changes.minSeverity !== undefined) {
+        if (changes.minSeverity) {
+            entry.minSeverity = changes.minSeverity;
+        } else {
+            delete entry.minSeverity;
+        }
+    }
+    return entry;
+}
+
+// Remove a (channel, repo) pair, or only some of its events.
+// A channel with no repos left is dropped entirely. Returns false if nothing matched.
+function removeRepoSubscription(channelId, repo, events = null) {
+    const sub = botState.subscriptions.get(channelId);
+    const entry = findRepoSubscription(sub, repo);
+    if (!entry) return false;
+
+    if (events && events.length > 0) {
+        // An empty list means "all events", so never leave one behind
+        entry.events = entry.events.filter(e => !events.includes(e));
+        if (entry.events.length > 0) return true;
+    }
+
+    sub.repos = sub.repos.filter(e => e !== entry);
+    if (sub.repos.length === 0) {
+        botState.subscriptions.delete(channelId);
+    }
+    return true;
+}
+
+// Human-readable event list for a (channel, repo) pair
+function formatSubscriptionEvents(entry) {
+    return entry.events.length > 0 ? entry.events.join(', ') : 'All events (except `watch`, which duplicates `star`)';
+}
+
+// One line per filter configured on a (channel, repo) pair
+function describeSubscriptionFilters(entry) {
+    const lines = [];
+    for (const [key, label] of Object.entries(SUBSCRIPTION_FILTER_LISTS)) {
+        if (entry[key]?.length) {
+            lines.push(`${label}: ${entry[key].map(p => `\`${p}\``).join(', ')}`);
+        }
+    }
+    if (entry.ignoreBots) {
+        lines.push('Ignoring bot senders');
+    }
+    if (entry.failuresOnly) {
+        lines.push('Only failed checks, statuses, deployments and workflows');
+    }
+    if (entry.minSeverity) {
+        lines.push(`Security alerts of ${entry.minSeverity} severity or above`);
+    }
+    return lines;
+}
+
+// Events list plus any filters configured on a (channel, repo) pair
+function describeRepoSubscription(entry) {
+    return [`Events: ${formatSubscriptionEvents(entry)}`, ...describeSubscriptionFilters(entry)].join('\n');
+}
+
+// Split a comma-separated option into trimmed, non-empty values
+function parseListOption(value) {
+    return value.split(',').map(v => v.trim()).filter(Boolean);
+}
+
+// Convert a glob to a RegExp: `*` stays within one path segment, `**` spans segments
+function globToRegExp(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const ch = pattern[i];
+        if (ch === '*' && pattern[i + 1] === '*') {
+            i++;
+            if (pattern[i + 1] === '/') {
+                // `**/` may also match zero segments
+                i++;
+                source += '(?:.*/)?';
+            } else {
+                source += '.*';
+            }
+        } else if (ch === '*') {
+            source += '[^/]*';
+        } else if (ch === '?') {
+            source += '[^/]';
+        } else {
+            source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+// Check a value against include/exclude globs ("!" prefix excludes).
+// No patterns matches everything; only exclusions matches anything not excluded.
+function matchesPatternList(value, patterns) {
+    if (!patterns || patterns.length === 0) return true;
+
+    const includes = patterns.filter(p => !p.startsWith('!'));
+    const excludes = patterns.filter(p => p.startsWith('!')).map(p => p.slice(1));
+
+    if (excludes.some(p => globToRegExp(p).test(value))) return false;
+    return includes.length === 0 || includes.some(p => globToRegExp(p).test(value));
+}
+
+// Same as matchesPatternList, for events carrying several values (e.g. labels):
+// excluded if any value hits an exclusion, included if any value hits an inclusion
+function matchesPatternSet(values, patterns) {
+    if (!patterns || patterns.length === 0) return true;
+
+    const includes = patterns.filter(p => !p.startsWith('!'));
+    const excludes = patterns.filter(p => p.startsWith('!')).map(p => p.slice(1));
+
+    if (values.some(v => excludes.some(p => globToRegExp(p).test(v)))) return false;
+    return includes.length === 0 || values.some(v => includes.some(p => globToRegExp(p).test(v)));
+}
+
+// GitHub logins and label names are case-insensitive
+function lowerCaseList(values) {
+    return values ? values.map(v => v.toLowerCase()) : values;
+}
+
+// Whether the sender is a GitHub App or bot account (dependabot[bot], renovate[bot], ...)
+function isBotSender(sender) {
+    return sender?.type === 'Bot' || /\[bot\]$/i.test(sender?.login || '');
+}
+
+// Login of whoever authored the issue, PR, discussion or release an event is about
+function getEventAuthor(payload) {
+    return payload.pull_request?.user?.login ||
+        payload.issue?.user?.login ||
+        payload.discussion?.user?.login ||
+        payload.release?.author?.login ||
+        payload.sender?.login ||
+        null;
+}
+
+// Labels on the issue or PR an event is about, or null for other events
+function getEventLabels(payload) {
+    const labels = payload.pull_request?.labels || payload.issue?.labels;
+    return labels ? labels.map(l => l.name.toLowerCase()) : null;
+}
+
+// Branch or tag an event refers to, or null for events that aren't ref-scoped
+function getEventRef(event, payload) {
+    switch (event) {
+        case 'push':
+            return payload.ref?.replace(/^refs\/(heads|tags)\//, '') || null;
+        case 'create':
+        case 'delete':
+            return payload.ref || null;
+        case 'workflow_run':
+            return payload.workflow_run?.head_branch || null;
+        case 'deployment':
+        case 'deployment_status':
+            return payload.deployment?.ref || null;
+        case 'check_run':
+            return payload.check_run?.check_suite?.head_branch || null;
+        case 'check_suite':
+            return payload.check_suite?.head_branch || null;
+        default:
+            return null;
+    }
+}
+
+// Every ref an event applies to, for branch filters. A commit status belongs
+// to each branch containing the commit, so it matches if any branch does.
+function getEventRefs(event, payload) {
+    if (event === 'status') {
+        return (payload.branches || []).map(b => b.name).filter(Boolean);
+    }
+    const ref = getEventRef(event, payload);
+    return ref ? [ref] : [];
+}
+
+// Security alert severities, lowest first
+const SEVERITY_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+// Map the different severity scales GitHub uses onto SEVERITY_LEVELS
+function normalizeSeverity(severity) {
+    const aliases = { moderate: 'medium', note: 'low', warning: 'medium', error: 'high' };
+    const value = severity?.toLowerCase();
+    return SEVERITY_LEVELS.includes(value) ? value : aliases[value] || null;
+}
+
+// Severity of a security alert event, or null for other events. Secret
+// scanning alerts have no severity and always count as critical.
+function getEventSeverity(event, payload) {
+    switch (event) {
+        case 'dependabot_alert':
+            return normalizeSeverity(payload.alert?.security_vulnerability?.severity || payload.alert?.security_advisory?.severity);
+        case 'code_scanning_alert':
+            return normalizeSeverity(payload.alert?.rule?.security_severity_level || payload.alert?.rule?.severity);
+        case 'secret_scanning_alert':
+            return 'critical';
+        case 'security_advisory':
+            return normalizeSeverity(payload.security_advisory?.severity);
+        default:
+            return null;
+    }
+}
+
+// Whether an event clears a subscription's minSeverity; events without a
+// severity always do
+function meetsMinSeverity(entry, event, payload) {
+    if (!entry.minSeverity) return true;
+    const severity = getEventSeverity(event, payload);
+    if (!severity) return true;
+    return SEVERITY_LEVELS.indexOf(severity) >= SEVERITY_LEVELS.indexOf(entry.minSeverity);
+}
+
+// Conclusions and states that count as failures for failuresOnly
+const FAILURE_STATES = ['failure', 'error', 'timed_out', 'startup_failure'];
+
+// Whether a CI or deployment event reports a failure; null for events
+// failuresOnly does not apply to
+function isFailureEvent(event, payload) {
+    switch (event) {
+        case 'deployment':
+            return false;
+        case 'deployment_status':
+            return FAILURE_STATES.includes(payload.deployment_status?.state);
+        case 'check_run':
+            return FAILURE_STATES.includes(payload.check_run?.conclusion);
+        case 'check_suite':
+            return FAILURE_STATES.includes(payload.check_suite?.conclusion);
+        case 'status':
+            return FAILURE_STATES.includes(payload.state);
+        case 'workflow_run':
+            return FAILURE_STATES.includes(payload.workflow_run?.conclusion);
+        case 'workflow_job':
+            return FAILURE_STATES.includes(payload.workflow_job?.conclusion);
+        default:
+            return null;
+    }
+}
+
+// Whether an event list wants this event. Entries may be bare ("pull_request")
+// or qualified with an action ("pull_request.opened"); "pull_request.merged"
+// matches PRs closed by a merge. An empty list wants everything except watch,
+// which GitHub sends alongside star for the same click.
+function matchesEventList(events, event, payload) {
+    if (events.length === 0) return event !== 'watch';
+
+    return events.some(e => {
+        const [name, action] = e.split('.');
+        if (name !== event) return false;
+        if (!action || action === payload.action) return true;
+        return action === 'merged' && event === 'pull_request' &&
+            payload.action === 'closed' && payload.pull_request?.merged === true;
+    });
+}
+
+// Whether a (channel, repo) pair wants this event for this repo
+function matchesRepoSubscription(entry, repo, event, payload) {
+    if (!matchesRepoPattern(entry.repo, repo)) return false;
+    if (entry.excludeRepos?.some(pattern => matchesRepoPattern(pattern, repo))) return false;
+    if (!matchesEventList(entry.events, event, payload)) return false;
+
+    const refs = getEventRefs(event, payload);
+    if (refs.length > 0 && !refs.some(ref => matchesPatternList(ref, entry.branches))) return false;
+
+    if (entry.ignoreBots && isBotSender(payload.sender)) return false;
+
+    if (entry.failuresOnly && isFailureEvent(event, payload) === false) return false;
+
+    if (!meetsMinSeverity(entry, event, payload)) return false;
+
+    const sender = payload.sender?.login?.toLowerCase();
+    if (sender && !matchesPatternList(sender, lowerCaseList(entry.senders))) return false;
+
+    const author = getEventAuthor(payload)?.toLowerCase();
+    if (author && !matchesPatternList(author, lowerCaseList(entry.authors))) return false;
+
+    const labels = getEventLabels(payload);
+    if (labels && !matchesPatternSet(labels, lowerCaseList(entry.labels))) return false;
+
+    return true;
+}
+
+// Actions GitHub sends for each supported event, so a typo such as
+// "pull_request.opend" is rejected instead of never matching. Events not
+// listed here (push, create, delete, fork, status) have no action.
+const EVENT_ACTIONS = {
+    pull_request: [
+        'opened', 'edited', 'closed', 'reopened', 'merged', 'synchronize', 'assigned', 'unassigned',
+        'labeled', 'unlabeled', 'review_requested', 'review_request_removed', 'ready_for_review',
+        'converted_to_draft', 'locked', 'unlocked', 'milestoned', 'demilestoned',
+        'auto_merge_enabled', 'auto_merge_disabled', 'enqueued', 'dequeued',
+    ],
+    issues: [
+        'opened', 'edited', 'deleted', 'closed', 'reopened', 'assigned', 'unassigned', 'labeled',
+        'unlabeled', 'locked', 'unlocked', 'pinned', 'unpinned', 'transferred', 'milestoned',
+        'demilestoned', 'typed', 'untyped',
+    ],
+    release: ['published', 'unpublished', 'created', 'edited', 'deleted', 'prereleased', 'released'],
+    workflow_run: ['requested', 'in_progress', 'completed'],
+    workflow_job: ['queued', 'in_progress', 'completed', 'waiting'],
+    discussion: [
+        'created', 'edited', 'deleted', 'closed', 'reopened', 'answered', 'unanswered', 'labeled',
+        'unlabeled', 'locked', 'unlocked', 'pinned', 'unpinned', 'transferred', 'category_changed',
+    ],
+    discussion_comment: ['created', 'edited', 'deleted'],
+    pull_request_review: ['submitted', 'edited', 'dismissed'],
+    pull_request_review_comment: ['created', 'edited', 'deleted'],
+    issue_comment: ['created', 'edited', 'deleted'],
+    watch: ['started'],
+    star: ['created', 'deleted'],
+    deployment: ['created'],
+    deployment_status: ['created'],
+    check_run: ['created', 'completed', 'rerequested', 'requested_action'],
+    check_suite: ['completed', 'requested', 'rerequested'],
+    dependabot_alert: ['created', 'dismissed', 'fixed', 'reintroduced', 'reopened', 'auto_dismissed', 'auto_reopened'],
+    code_scanning_alert: ['created', 'appeared_in_branch', 'closed_by_user', 'fixed', 'reopened', 'reopened_by_user'],
+    secret_scanning_alert: ['created', 'reopened', 'resolved', 'revoked', 'validated', 'publicly_leaked'],
+    security_advisory: ['published', 'updated', 'withdrawn'],
+};
+
+// Trim, lower-case and dedupe event names, checking each against the events
+// createGitHubEmbed can render and the actions GitHub sends for them.
+// Returns { events, errors }.
+function normalizeEventList(rawEvents) {
+    const events = [];
+    const errors = [];
+    for (const raw of rawEvents) {
+        const name = raw.trim().toLowerCase();
+        if (!name) continue;
+
+        const [event, action, ...rest] = name.split('.');
+        if (!SUPPORTED_EVENTS.includes(event)) {
+            errors.push(`unknown event "${raw.trim()}"`);
+        } else if (rest.length > 0) {
+            errors.push(`invalid event action "${raw.trim()}" (expected event.action, e.g. pull_request.opened)`);
+        } else if (action !== undefined && !EVENT_ACTIONS[event]) {
+            errors.push(`"${event}" events have no actions to filter on`);
+        } else if (action !== undefined && !EVENT_ACTIONS[event].includes(action)) {
+            errors.push(`unknown action "${action}" for ${event} (expected one of: ${EVENT_ACTIONS[event].join(', ')})`);
+        } else if (!events.includes(name)) {
+            events.push(name);
+        }
+    }
+    return { events, errors };
+}
+
+// Accepts "owner/repo", globs such as "owner/*" or "owner/service-*", or the "*" catch-all.
+// GitLab and Gitea projects are prefixed ("gitlab:group/sub/project", "gitea:owner/repo").
+function isValidRepoName(repo) {
+    return repo === '*' ||
+        /^(gitea:)?[\w.*?-]+\/[\w.*?-]+$/.test(repo) ||
+        /^gitlab:[\w.*?-]+(\/[\w.*?-]+)+$/.test(repo);
+}
+
+// Repos that live on GitLab or Gitea rather than GitHub
+function isExternalRepo(repo) {
+    return /^(gitlab|gitea):/i.test(repo);
+}
+
+// Whether a subscription repo is a pattern rather than one concrete repo
+function isRepoPattern(repo) {
+    return /[*?]/.test(repo);
+}
+
+// Match a repo against a subscription repo or pattern (case-insensitive, like GitHub)
+function matchesRepoPattern(pattern, repo) {
+    if (pattern === '*') return true;
+    return globToRegExp(pattern.toLowerCase()).test(repo.toLowerCase());
+}
+
+// Remember which concrete repo a wildcard subscription just matched
+function recordRepoMatch(channelId, entry, repo) {
+    if (!isRepoPattern(entry.repo)) return;
+
+    const key = `${channelId}|${entry.repo}`;
+    const matches = botState.recentRepoMatches.get(key) || new Map();
+    matches.delete(repo);
+    matches.set(repo, new Date().toISOString());
+    // Map keeps insertion order, so the oldest match is first
+    while (matches.size > MAX_RECENT_REPO_MATCHES) {
+        matches.delete(matches.keys().next().value);
+    }
+    botState.recentRepoMatches.set(key, matches);
+}
+
+// Concrete repos a wildcard subscription matched recently, newest first
+function getRecentRepoMatches(channelId, entry) {
+    const matches = botState.recentRepoMatches.get(`${channelId}|${entry.repo}`);
+    return matches ? Array.from(matches.keys()).reverse() : [];
+}
+
+// Validate and normalize a (channel, repo) entry from untrusted input
+// (imports, API bodies). Returns { entry, errors }.
+function normalizeRepoSubscription(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { entry: null, errors: ['repo entry must be an object'] };
+    }
+
+    const errors = [];
+    const repo = typeof raw.repo === 'string' ? raw.repo.trim() : '';
+    if (!isValidRepoName(repo)) {
+        errors.push(`invalid repo "${raw.repo}" (expected owner/repo)`);
+    }
+
+    const stringList = (key) => {
+        const value = raw[key];
+        if (value === undefined || value === null) return [];
+        if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) {
+            errors.push(`${repo || 'repo entry'}: ${key} must be an array of strings`);
+            return [];
+        }
+        return [...new Set(value.map(v => v.trim()).filter(Boolean))];
+    };
+
+    // Left out, events default like /subscribe; an empty array means all events
+    const { events, errors: eventErrors } = raw.events === undefined || raw.events === null
+        ? { events: [...DEFAULT_SUBSCRIPTION_EVENTS], errors: [] }
+        : normalizeEventList(stringList('events'));
+    errors.push(...eventErrors.map(e => `${repo || 'repo entry'}: ${e}`));
+
+    const entry = { repo, events };
+    for (const key of Object.keys(SUBSCRIPTION_FILTER_LISTS)) {
+        const list = stringList(key);
+        if (list.length > 0) entry[key] = list;
+    }
+    if (raw.ignoreBots !== undefined) {
+        if (typeof raw.ignoreBots !== 'boolean') {
+            errors.push(`${repo || 'repo entry'}: ignoreBots must be true or false`);
+        } else if (raw.ignoreBots) {
+            entry.ignoreBots = true;
+        }
+    }
+    if (raw.failuresOnly !== undefined) {
+        if (typeof raw.failuresOnly !== 'boolean') {
+            errors.push(`${repo || 'repo entry'}: failuresOnly must be true or false`);
+        } else if (raw.failuresOnly) {
+            entry.failuresOnly = true;
+        }
+    }
+    if (raw.minSeverity !== undefined && raw.minSeverity !== null) {
+        if (!SEVERITY_LEVELS.includes(raw.minSeverity)) {
+            errors.push(`${repo || 'repo entry'}: minSeverity must be one of: ${SEVERITY_LEVELS.join(', ')}`);
+        } else {
+            entry.minSeverity = raw.minSeverity;
+        }
+    }
+
+    return { entry, errors };
+}
+
+// Whether a string looks like a Discord snowflake ID
+function isSnowflake(value) {
+    return typeof value === 'string' && /^\d{17,20}$/.test(value);
+}
+
+// Validate a list of raw repo entries, rejecting duplicates. Returns { repos, errors }.
+function normalizeRepoSubscriptionList(rawRepos) {
+    if (!Array.isArray(rawRepos)) {
+        return { repos: [], errors: ['repos must be an array'] };
+    }
+
+    const repos = [];
+    const errors = [];
+    rawRepos.forEach((raw, index) => {
+        const { entry, errors: entryErrors } = normalizeRepoSubscription(raw);
+        errors.push(...entryErrors.map(e => `repos[${index}]: ${e}`));
+        if (entry && repos.some(e => e.repo === entry.repo)) {
+            errors.push(`repos[${index}]: duplicate repo "${entry.repo}"`);
+        } else if (entry && entryErrors.length === 0) {
+            repos.push(entry);
+        }
+    });
+    return { repos, errors };
+}
+
+// Public shape of a channel subscription in API responses and exports
+function serializeChannelSubscription(channelId, sub) {
+    return {
+        channelId,
+        ...sub,
+        guildId: sub.guildId || null,
+    };
+}
+
+// Serializable snapshot of every subscription, as used by /export and /import
+// Given a guildId, only that guild's channels are exported
+function exportSubscriptions({ guildId } = {}) {
+    return {
+        exported_at: new Date().toISOString(),
+        schemaVersion: SUBSCRIPTION_SCHEMA_VERSION,
+        subscriptions: Array.from(botState.subscriptions.entries())
+            .filter(([channelId]) => guildId === undefined || isChannelInGuild(channelId, guildId))
+            .map(([channelId, sub]) => serializeChannelSubscription(channelId, sub)),
+    };
+}
+
+// Validate an export document and turn it into [channelId, sub] entries.
+// Returns { entries, errors }; entries is only usable when errors is empty.
+function parseSubscriptionExport(data) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.subscriptions)) {
+        return { entries: [], errors: ['expected an object with a "subscriptions" array (the /export format)'] };
+    }
+
+    const errors = [];
+    const fromVersion = data.schemaVersion || 1;
+    let raw;
+    try {
+        raw = migrateSubscriptions(
+            data.subscriptions.map(item => [item?.channelId, item]),
+            fromVersion
+        );
+    } catch (err) {
+        return { entries: [], errors: [err.message] };
+    }
+
+    const entries = new Map();
+    raw.forEach(([channelId, sub], index) => {
+        const where = `subscriptions[${index}]`;
+        if (!isSnowflake(channelId)) {
+            errors.push(`${where}: invalid channelId "${channelId}"`);
+            return;
+        }
+        if (!Array.isArray(sub?.repos)) {
+            errors.push(`${where}: repos must be an array`);
+            return;
+        }
+
+        const repos = entries.get(channelId)?.repos || [];
+        for (const rawEntry of sub.repos) {
+            const { entry, errors: entryErrors } = normalizeRepoSubscription(rawEntry);
+            errors.push(...entryErrors.map(e => `${where}: ${e}`));
+            if (entry && entryErrors.length === 0) {
+                // Later duplicates of the same repo win
+                const existing = repos.findIndex(e => e.repo === entry.repo);
+                if (existing >= 0) repos.splice(existing, 1);
+                repos.push(entry);
+            }
+        }
+        const { settings, errors: settingErrors } = normalizeChannelSettings(sub.settings);
+        errors.push(...settingErrors.map(e => `${where}: ${e}`));
+        const { templates, errors: templateErrors } = normalizeChannelTemplates(sub.templates);
+        errors.push(...templateErrors.map(e => `${where}: ${e}`));
+        if (repos.length > 0) {
+            entries.set(channelId, {
+                guildId: isSnowflake(sub.guildId) ? sub.guildId : null,
+                ...(settings ? { settings } : {}),
+                ...(templates ? { templates } : {}),
+                repos,
+            });
+        }
+    });
+
+    return { entries: Array.from(entries.entries()), errors };
+}
+
+// Pair-level differences between two subscription maps
+function diffSubscriptions(before, after) {
+    const diff = { added: [], removed: [], changed: [] };
+    const channelIds = new Set([...before.keys(), ...after.keys()]);
+
+    for (const channelId of channelIds) {
+        const oldRepos = before.get(channelId)?.repos || [];
+        const newRepos = after.get(channelId)?.repos || [];
+
+        for (const entry of newRepos) {
+            const old = oldRepos.find(e => e.repo === entry.repo);
+            if (!old) {
+                diff.added.push({ channelId, entry });
+            } else if (JSON.stringify(old) !== JSON.stringify(entry)) {
+                diff.changed.push({ channelId, entry });
+            }
+        }
+        for (const entry of oldRepos) {
+            if (!newRepos.some(e => e.repo === entry.repo)) {
+                diff.removed.push({ channelId, entry });
+            }
+        }
+    }
+    return diff;
+}
+
+// Write a single channel's subscription (or its removal) through to the store
+async function persistSubscription(channelId) {
+    const sub = botState.subscriptions.get(channelId);
+    if (sub) {
+        await subscriptionStore.saveChannel(channelId, sub);
+    } else {
+        await subscriptionStore.deleteChannel(channelId);
+    }
+}
+
+// ============================================
+// GitHub Webhook Verification
+// ============================================
+
+// Split a comma-separated secret list; the first entry is the current secret
+function parseSecretList(value) {
+    return (value || '').split(',').map(v => v.trim()).filter(Boolean);
+}
+
+// GITHUB_WEBHOOK_REPO_SECRETS is a JSON object of repo -> secret or [secrets]
+function parseRepoSecrets(value) {
+    if (!value) return new Map();
+
+    let parsed;
+    try {
+        parsed = JSON.parse(value);
+    } catch (err) {
+        throw new Error(`GITHUB_WEBHOOK_REPO_SECRETS is not valid JSON: ${err.message}`);
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error('GITHUB_WEBHOOK_REPO_SECRETS must be a JSON object of "owner/repo": "secret"');
+    }
+
+    const secrets = new Map();
+    for (const [repo, repoSecrets] of Object.entries(parsed)) {
+        const list = (Array.isArray(repoSecrets) ? repoSecrets : [repoSecrets]).filter(v => typeof v === 'string' && v);
+        if (list.length > 0) {
+            secrets.set(repo.toLowerCase(), list);
+        }
+    }
+    return secrets;
+}
+
+const WEBHOOK_SECRETS = parseSecretList(GITHUB_WEBHOOK_SECRET);
+const REPO_WEBHOOK_SECRETS = parseRepoSecrets(GITHUB_WEBHOOK_REPO_SECRETS);
+
+// With any secret configured, every GitHub delivery must be signed
+function isWebhookSigningRequired() {
+    return WEBHOOK_SECRETS.length > 0 || REPO_WEBHOOK_SECRETS.size > 0;
+}
+
+// Every secret a delivery for this repo may be signed with, current ones first
+function getWebhookSecrets(repo) {
+    const repoSecrets = repo ? REPO_WEBHOOK_SECRETS.get(repo.toLowerCase()) || [] : [];
+    return [...repoSecrets, ...WEBHOOK_SECRETS];
+}
+
+// Secret to configure on new or updated hooks for this repo
+function getPrimaryWebhookSecret(repo) {
+    return getWebhookSecrets(repo)[0] || null;
+}
+
+// Check an X-Hub-Signature-256 header against the raw body with each active secret
+function verifyGitHubSignature(rawBody, signature, secrets) {
+    if (typeof signature !== 'string' || !signature.startsWith('sha256=')) {
+        return false;
+    }
+    return verifyHmacSha256(rawBody, signature.slice('sha256='.length), secrets);
+}
+
+// Compare a hex HMAC-SHA256 digest of the raw body against each secret in constant time
+function verifyHmacSha256(rawBody, hexDigest, secrets) {
+    if (typeof hexDigest !== 'string' || !rawBody) {
+        return false;
+    }
+
+    const received = Buffer.from(hexDigest, 'hex');
+    return secrets.some(secret => {
+        const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+        // timingSafeEqual throws on length mismatch, so check that first
+        return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+    });
+}
+
+// ============================================
+// GitLab and Gitea Webhooks
+// ============================================
+
+// GitLab and Gitea deliveries are normalized into the same { event, payload }
+// model as GitHub: GitHub event names and the payload fields the subscription
+// matcher and createGitHubEmbed read. payload.source records where it came
+// from, and repository.full_name is prefixed ("gitlab:group/project") so
+// projects never collide with GitHub repos of the same name.
+
+const GITLAB_WEBHOOK_TOKENS = parseSecretList(GITLAB_WEBHOOK_TOKEN);
+const GITEA_WEBHOOK_SECRETS = parseSecretList(GITEA_WEBHOOK_SECRET);
+const NULL_SHA = '0000000000000000000000000000000000000000';
+
+// GitLab sends its secret token verbatim; hash both sides so the
+// constant-time comparison always sees equal lengths
+function verifyGitLabToken(token, tokens) {
+    if (typeof token !== 'string') return false;
+    const received = crypto.createHash('sha256').update(token).digest();
+    return tokens.some(expected =>
+        crypto.timingSafeEqual(received, crypto.createHash('sha256').update(expected).digest()));
+}
+
+function gitLabRepository(project) {
+    return {
+        full_name: `gitlab:${project.path_with_namespace}`,
+        name: project.name,
+        html_url: project.web_url,
+    };
+}
+
+function gitLabSender(user) {
+    return { login: user?.username || 'unknown', name: user?.name };
+}
+
+function gitLabLabels(labels) {
+    return (labels || []).map(l => ({ name: l.title }));
+}
+
+// Returns { event, payload } in the internal model, or null for events we do not handle
+function normalizeGitLabEvent(body) {
+    const project = body?.project;
+    if (!project?.path_with_namespace) return null;
+
+    const repository = gitLabRepository(project);
+    const base = { source: 'gitlab', repository };
+
+    switch (body.object_kind) {
+        case 'push':
+        case 'tag_push': {
+            const isTag = body.object_kind === 'tag_push';
+            const refName = body.ref.replace(/^refs\/(heads|tags)\//, '');
+            const sender = { login: body.user_username, name: body.user_name };
+
+            // New tags, and deleted branches or tags, map to create/delete like on GitHub
+            if (body.after === NULL_SHA || (isTag && body.before === NULL_SHA)) {
+                return {
+                    event: body.after === NULL_SHA ? 'delete' : 'create',
+                    payload: { ...base, ref: refName, ref_type: isTag ? 'tag' : 'branch', sender },
+                };
+            }
+            if (isTag) return null;
+
+            return {
+                event: 'push',
+                payload: {
+                    ...base,
+                    ref: body.ref,
+                    before: body.before,
+                    after: body.after,
+                    created: body.before === NULL_SHA,
+                    compare: `${project.web_url}/-/compare/${body.before}...${body.after}`,
+                    commits: (body.commits || []).map(c => ({
+                        id: c.id,
+                        message: c.message,
+                        url: c.url,
+                        author: { name: c.author?.name, email: c.author?.email },
+                    })),
+                    sender,
+                    pusher: { name: body.user_name },
+                },
+            };
+        }
+
+        case 'merge_request': {
+            const mr = body.object_attributes;
+            const sender = gitLabSender(body.user);
+            const pullRequest = {
+                number: mr.iid,
+                title: mr.title,
+                body: mr.description,
+                html_url: mr.url,
+                state: mr.state === 'opened' ? 'open' : 'closed',
+                merged: mr.state === 'merged',
+                draft: Boolean(mr.draft ?? mr.work_in_progress),
+                // Merge request hooks only carry the author's ID, so the acting user stands in
+                user: sender,
+                head: { ref: mr.source_branch },
+                base: { ref: mr.target_branch },
+                labels: gitLabLabels(body.labels),
+            };
+
+            if (mr.action === 'approved') {
+                return {
+                    event: 'pull_request_review',
+                    payload: {
+                        ...base,
+                        action: 'submitted',
+                        review: { state: 'approved', user: sender, html_url: mr.url },
+                        pull_request: pullRequest,
+                        sender,
+                    },
+                };
+            }
+
+            const actions = { open: 'opened', close: 'closed', reopen: 'reopened', merge: 'closed' };
+            const action = actions[mr.action] || (mr.action === 'update' ? (mr.oldrev ? 'synchronize' : 'edited') : null);
+            if (!action) return null;
+            return { event: 'pull_request', payload: { ...base, action, pull_request: pullRequest, sender } };
+        }
+
+        case 'issue': {
+            const issue = body.object_attributes;
+            const actions = { open: 'opened', close: 'closed', reopen: 'reopened', update: 'edited' };
+            if (!actions[issue.action]) return null;
+
+            const sender = gitLabSender(body.user);
+            return {
+                event: 'issues',
+                payload: {
+                    ...base,
+                    action: actions[issue.action],
+                    issue: {
+                        number: issue.iid,
+                        title: issue.title,
+                        body: issue.description,
+                        html_url: issue.url,
+                        state: issue.state === 'opened' ? 'open' : 'closed',
+                        user: sender,
+                        labels: gitLabLabels(body.labels),
+                    },
+                    sender,
+                },
+            };
+        }
+
+        case 'release': {
+            const actions = { create: 'published', update: 'edited', delete: 'deleted' };
+            if (!actions[body.action]) return null;
+
+            // Release hooks have no acting user; the tagged commit's author is the closest match
+            const author = { login: body.commit?.author?.name || 'unknown' };
+            return {
+                event: 'release',
+                payload: {
+                    ...base,
+                    action: actions[body.action],
+                    release: {
+                        tag_name: body.tag,
+                        name: body.name,
+                        body: body.description,
+                        html_url: body.url,
+                        prerelease: false,
+                        author,
+                    },
+                    sender: author,
+                },
+            };
+        }
+
+        case 'pipeline': {
+            const pipeline = body.object_attributes;
+            const conclusions = { success: 'success', failed: 'failure', canceled: 'cancelled', skipped: 'skipped' };
+            const conclusion = conclusions[pipeline.status] || null;
+            const status = conclusion ? 'completed' : pipeline.status === 'running' ? 'in_progress' : 'queued';
+
+            return {
+                event: 'workflow_run',
+                payload: {
+                    ...base,
+                    action: status === 'queued' ? 'requested' : status,
+                    workflow_run: {
+                        id: pipeline.id,
+                        name: pipeline.name || 'Pipeline',
+                        status,
+                        conclusion,
+                        html_url: pipeline.url || `${project.web_url}/-/pipelines/${pipeline.id}`,
+                        head_branch: pipeline.ref,
+                        head_sha: pipeline.sha,
+                        run_number: pipeline.iid || pipeline.id,
+                        run_attempt: 1,
+                    },
+                    sender: gitLabSender(body.user),
+                },
+            };
+        }
+
+        default:
+            return null;
+    }
+}
+
+// Gitea events whose payloads already follow GitHub's shape closely enough
+const GITEA_EVENTS = ['push', 'create', 'delete', 'pull_request', 'issues', 'release', 'workflow_run', 'workflow_job'];
+
+function normalizeGiteaEvent(event, body) {
+    if (!GITEA_EVENTS.includes(event) || !body?.repository?.full_name) return null;
+
+    const payload = {
+        ...body,
+        source: 'gitea',
+        repository: { ...body.repository, full_name: `gitea:${body.repository.full_name}` },
+    };
+    if (event === 'push') {
+        payload.compare = body.compare_url;
+    }
+    return { event, payload };
+}
+
+// ============================================
+// Webhook Delivery Log
+// ============================================
+
+// GitHub only allows redelivering within a few days, so that is the default window
+const DELIVERY_RETENTION_MS = (Number(WEBHOOK_DELIVERY_RETENTION_HOURS) || 72) * 60 * 60 * 1000;
+const MAX_DELIVERY_LOG_ENTRIES = 5000;
+const DELIVERY_LOG_PATH = path.join(DATA_DIR, 'deliveries.json');
+const DELIVERY_OUTCOMES = ['processing', 'delivered', 'partial', 'no_subscribers', 'failed'];
+
+const deliveryLogWriter = createJsonFileWriter(DELIVERY_LOG_PATH, () => ({
+    deliveries: Array.from(botState.deliveries.values()),
+}));
+
+// Load after the notification queue, so in-progress deliveries can be
+// matched up with the notifications still waiting to be sent
+async function loadDeliveryLog() {
+    const data = await readJsonFile(DELIVERY_LOG_PATH, { deliveries: [] });
+    botState.deliveries.clear();
+    for (const record of data.deliveries || []) {
+        if (record.outcome === 'processing') {
+            record.pendingChannels = botState.notificationQueue
+                .filter(job => getJobDeliveryIds(job).includes(record.id))
+                .map(job => job.channelId);
+            if (record.pendingChannels.length === 0) {
+                completeDelivery(record);
+            }
+        }
+        botState.deliveries.set(record.id, record);
+    }
+    pruneDeliveryLog();
+    console.log(`[Deliveries] Loaded ${botState.deliveries.size} delivery record(s)`);
+}
+
+// Drop records older than the retention window, then cap the log size
+function pruneDeliveryLog() {
+    const cutoff = Date.now() - DELIVERY_RETENTION_MS;
+    for (const [id, record] of botState.deliveries) {
+        if (Date.parse(record.receivedAt) >= cutoff && botState.deliveries.size <= MAX_DELIVERY_LOG_ENTRIES) break;
+        botState.deliveries.delete(id);
+    }
+}
+
+// Record a new delivery, or return the existing record if this ID was already
+// handled. Failed deliveries may be retried, so they are not treated as repeats.
+function beginDelivery(id, event, payload) {
+    pruneDeliveryLog();
+
+    const existing = botState.deliveries.get(id);
+    if (existing && existing.outcome !== 'failed') {
+        existing.duplicates = (existing.duplicates || 0) + 1;
+        existing.lastDuplicateAt = new Date().toISOString();
+        deliveryLogWriter.schedule();
+        return { record: existing, duplicate: true };
+    }
+
+    const record = {
+        id,
+        event,
+        action: payload?.action || null,
+        repo: payload?.repository?.full_name || null,
+        receivedAt: new Date().toISOString(),
+        outcome: 'processing',
+        channels: [],
+        failedChannels: [],
+        pendingChannels: [],
+        duplicates: existing?.duplicates || 0,
+    };
+    // Re-insert so the map stays ordered by receive time
+    botState.deliveries.delete(id);
+    botState.deliveries.set(id, record);
+    deliveryLogWriter.schedule();
+    return { record, duplicate: false };
+}
+
+// Note which channels a delivery was queued for
+function markDeliveryQueued(record, channelIds) {
+    record.pendingChannels = [...channelIds];
+    if (channelIds.length === 0) {
+        completeDelivery(record);
+    }
+    deliveryLogWriter.schedule();
+}
+
+function markDeliveryFailed(record, error) {
+    record.error = error;
+    completeDelivery(record);
+    deliveryLogWriter.schedule();
+}
+
+// Called by the notification worker once a queued channel is sent or given up on
+function recordDeliveryChannel(deliveryId, channelId, sent) {
+    const record = botState.deliveries.get(deliveryId);
+    if (!record) return;
+
+    record.pendingChannels = (record.pendingChannels || []).filter(id => id !== channelId);
+    (sent ? record.channels : record.failedChannels).push(channelId);
+    if (record.pendingChannels.length === 0) {
+        completeDelivery(record);
+    }
+    deliveryLogWriter.schedule();
+}
+
+// Settle the outcome from the channels that were and were not notified
+function completeDelivery(record) {
+    const channels = record.channels || [];
+    const failed = record.failedChannels || [];
+    record.completedAt = new Date().toISOString();
+    if (record.error || (channels.length === 0 && failed.length > 0)) {
+        record.outcome = 'failed';
+    } else if (channels.length === 0) {
+        record.outcome = 'no_subscribers';
+    } else {
+        record.outcome = failed.length > 0 ? 'partial' : 'delivered';
+    }
+}
+
+// Guild a channel belongs to, from its subscription or the client's cache
+function getChannelGuildId(channelId) {
+    return botState.subscriptions.get(channelId)?.guildId || client.channels.cache.get(channelId)?.guildId || null;
+}
+
+// Whether a channel is in the given guild. Commands pass their guild so one
+// server's admins never see another server's channels, repos or payloads.
+function isChannelInGuild(channelId, guildId) {
+    return Boolean(guildId) && getChannelGuildId(channelId) === guildId;
+}
+
+// Every channel a delivery was queued for, whatever became of it
+function getDeliveryChannels(delivery) {
+    return [...(delivery.channels || []), ...(delivery.failedChannels || []), ...(delivery.pendingChannels || [])];
+}
+
+// Newest-first list of deliveries, optionally filtered. Given a guildId
+// (null included), only deliveries that reached one of its channels are listed.
+function listDeliveries({ repo, event, outcome, guildId } = {}) {
+    return Array.from(botState.deliveries.values())
+        .reverse()
+        .filter(d => guildId === undefined || getDeliveryChannels(d).some(id => isChannelInGuild(id, guildId)))
+        .filter(d => !repo || d.repo?.toLowerCase() === repo.toLowerCase())
+        .filter(d => !event || d.event === event)
+        .filter(d => !outcome || d.outcome === outcome);
+}
+
+// ============================================
+// Notification Queue
+// ============================================
+
+// Webhooks are acknowledged as soon as their notifications are queued here.
+// A worker then sends them to Discord, retrying rate limits and server errors,
+// and the queue is saved to disk so pending sends survive a restart.
+
+const NOTIFICATION_QUEUE_PATH = path.join(DATA_DIR, 'notification-queue.json');
+const SEND_CONCURRENCY = Math.max(1, parseInt(NOTIFICATION_CONCURRENCY, 10) || 2);
+const MAX_SEND_ATTEMPTS = Math.max(1, parseInt(NOTIFICATION_MAX_ATTEMPTS, 10) || 8);
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+const OFFLINE_RETRY_DELAY_MS = 5000;
+
+const sendingJobs = new Set();
+let notificationTimer = null;
+
+const notificationQueueWriter = createJsonFileWriter(NOTIFICATION_QUEUE_PATH, () => ({
+    jobs: botState.notificationQueue,
+}), 250);
+
+async function loadNotificationQueue() {
+    const data = await readJsonFile(NOTIFICATION_QUEUE_PATH, { jobs: [] });
+    botState.notificationQueue.splice(0, botState.notificationQueue.length, ...(data.jobs || []));
+    console.log(`[Queue] Loaded ${botState.notificationQueue.length} pending notification(s)`);
+}
+
+// Queue a notification for one channel. The payload is rendered when the
+// job is sent, so renderer fixes also apply to notifications already queued.
+function enqueueNotification(channelId, event, payload, deliveryId = null) {
+    const job = {
+        id: crypto.randomUUID(),
+        channelId,
+        event,
+        payload,
+        deliveryId,
+        attempts: 0,
+        createdAt: new Date().toISOString(),
+        nextAttemptAt: Date.now(),
+    };
+    botState.notificationQueue.push(job);
+    return job;
+}
+
+// discord.js surfaces HTTP failures with a status; anything without one is a
+// network error or timeout and worth another try
+function isRetryableSendError(err) {
+    const status = err.status ?? err.httpStatus;
+    if (err.name === 'RateLimitError' || status === 429) return true;
+    if (status) return status >= 500;
+    return true;
+}
+
+// Wait as long as Discord asks on a rate limit, otherwise back off exponentially with jitter
+function getRetryDelay(err, attempts) {
+    if (typeof err.retryAfter === 'number') return err.retryAfter;
+    if (typeof err.rawError?.retry_after === 'number') return err.rawError.retry_after * 1000;
+
+    const backoff = Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+    return backoff / 2 + Math.random() * (backoff / 2);
+}
+
+// Start due jobs up to the concurrency limit, then sleep until the next one is due.
+// Only the oldest job per channel is eligible, so each channel keeps event order.
+function processNotificationQueue() {
+    clearTimeout(notificationTimer);
+    notificationTimer = null;
+
+    const now = Date.now();
+    const busyChannels = new Set();
+    let nextAttemptAt = Infinity;
+
+    for (const job of botState.notificationQueue) {
+        if (busyChannels.has(job.channelId)) continue;
+
+        // A coalesced job still collecting its burst stays out of the channel's
+        // ordering, so other notifications are not held up behind its window
+        if (job.coalesceKey && job.attempts === 0 && job.nextAttemptAt > now) {
+            nextAttemptAt = Math.min(nextAttemptAt, job.nextAttemptAt);
+            continue;
+        }
+        busyChannels.add(job.channelId);
+        if (sendingJobs.has(job.id)) continue;
+
+        if (!botState.connected || job.nextAttemptAt > now || sendingJobs.size >= SEND_CONCURRENCY) {
+            nextAttemptAt = Math.min(nextAttemptAt, botState.connected ? job.nextAttemptAt : now + OFFLINE_RETRY_DELAY_MS);
+            continue;
+        }
+
+        sendingJobs.add(job.id);
+        sendNotification(job)
+            .catch(err => console.error(`[Queue] Unexpected error sending to ${job.channelId}:`, err))
+            .finally(() => {
+                sendingJobs.delete(job.id);
+                processNotificationQueue();
+            });
+    }
+
+    // A full worker pool is woken by the next job that finishes instead
+    if (nextAttemptAt !== Infinity && sendingJobs.size < SEND_CONCURRENCY) {
+        notificationTimer = setTimeout(processNotificationQueue, Math.max(0, nextAttemptAt - now));
+        notificationTimer.unref?.();
+    }
+}
+
+async function sendNotification(job) {
+    job.attempts++;
+
+    // Long notifications span several messages. After a partial send the parts
+    // still to go are kept on the job (and saved with the queue), so a retry or
+    // restart resumes with them even if the channel's template changed since.
+    let messages = job.remainingParts;
+    if (!messages) {
+        try {
+            messages = renderGitHubNotification(job.event, job.payload, job.channelId);
+        } catch (err) {
+            return settleNotification(job, false, `Could not render ${job.event} notification: ${err.message}`);
+        }
+    }
+
+    try {
+        const channel = await client.channels.fetch(job.channelId);
+        if (typeof channel?.send !== 'function') {
+            return settleNotification(job, false, 'Channel not found or is not a text channel');
+        }
+        for (let part = 0; part < messages.length; part++) {
+            await channel.send(messages[part]);
+            if (part < messages.length - 1) {
+                job.remainingParts = messages.slice(part + 1);
+                notificationQueueWriter.schedule();
+            }
+        }
+        console.log(`[Queue] Sent ${job.event} notification to ${job.channelId}`);
+        settleNotification(job, true);
+    } catch (err) {
+        if (!isRetryableSendError(err) || job.attempts >= MAX_SEND_ATTEMPTS) {
+            return settleNotification(job, false, err.message);
+        }
+
+        const delay = getRetryDelay(err, job.attempts);
+        job.nextAttemptAt = Date.now() + delay;
+        job.lastError = err.message;
+        notificationQueueWriter.schedule();
+        console.warn(`[Queue] Send to ${job.channelId} failed (attempt ${job.attempts}/${MAX_SEND_ATTEMPTS}), retrying in ${Math.ceil(delay / 1000)}s: ${err.message}`);
+    }
+}
+
+// Take a finished job off the queue and report it to the delivery log
+function settleNotification(job, sent, error = null) {
+    const index = botState.notificationQueue.indexOf(job);
+    if (index >= 0) {
+        botState.notificationQueue.splice(index, 1);
+    }
+    if (!sent) {
+        console.error(`[Queue] Giving up on ${job.event} notification for ${job.channelId} after ${job.attempts} attempt(s): ${error}`);
+        addDeadLetter(job, error);
+    }
+    for (const deliveryId of getJobDeliveryIds(job)) {
+        recordDeliveryChannel(deliveryId, job.channelId, sent);
+    }
+    notificationQueueWriter.schedule();
+}
+
+// Deliveries a job sends for; coalesced jobs can carry several
+function getJobDeliveryIds(job) {
+    return job.deliveryIds || (job.deliveryId ? [job.deliveryId] : []);
+}
+
+// ============================================
+// Notification Coalescing
+// ============================================
+
+// Channels with a coalesce window (/config coalesce) get bursts of related
+// events as one summary: pushes to the same branch, reviews and review
+// comments on the same PR, and jobs of the same workflow run. The first event
+// of a group is queued with a delay; related events arriving before it is sent
+// are folded into it and push the send time back by another window.
+
+// Stop extending a group once it has waited this many windows
+const COALESCE_MAX_WAIT_WINDOWS = 4;
+const MAX_COALESCED_ITEMS = 50;
+
+// Which summary an event belongs to, or null if it is always sent on its own
+function getCoalesceGroup(event, payload) {
+    const repo = payload.repository?.full_name;
+    switch (event) {
+        case 'push':
+            return { kind: 'push', key: `push|${repo}|${payload.ref}` };
+        case 'pull_request_review':
+        case 'pull_request_review_comment':
+            return payload.pull_request
+                ? { kind: 'review', key: `review|${repo}|${payload.pull_request.number}` }
+                : null;
+        case 'workflow_job':
+            return payload.workflow_job
+                ? { kind: 'workflow_job', key: `workflow_job|${repo}|${payload.workflow_job.run_id}` }
+                : null;
+        default:
+            return null;
+    }
+}
+
+// The parts of an event a summary needs, so queued groups stay small
+function summarizeCoalescedEvent(kind, event, payload) {
+    switch (kind) {
+        case 'push':
+            return {
+                sender: payload.sender?.login || payload.pusher?.name || 'Unknown',
+                forced: Boolean(payload.forced),
+                compare: payload.compare,
+                commits: (payload.commits || []).map(c => ({ id: c.id, message: c.message.split('\n')[0], url: c.url })),
+            };
+        case 'review': {
+            const item = event === 'pull_request_review' ? payload.review : payload.comment;
+            return {
+                event,
+                user: item?.user?.login || payload.sender?.login || 'Unknown',
+                state: item?.state,
+                path: item?.path,
+                body: item?.body?.substring(0, 100),
+                html_url: item?.html_url,
+            };
+        }
+        case 'workflow_job': {
+            const job = payload.workflow_job;
+            return {
+                id: job.id,
+                name: job.name,
+                workflow_name: job.workflow_name,
+                status: job.conclusion || job.status,
+                html_url: job.html_url,
+                started_at: job.started_at,
+                completed_at: job.completed_at,
+            };
+        }
+    }
+}
+
+// Turn a queued single-event job into a summary of one item
+function createCoalescedPayload(kind, event, payload) {
+    return {
+        kind,
+        source: payload.source,
+        repository: payload.repository,
+        sender: payload.sender,
+        ref: payload.ref,
+        pull_request: kind === 'review'
+            ? { number: payload.pull_request.number, title: payload.pull_request.title, html_url: payload.pull_request.html_url }
+            : undefined,
+        run: kind === 'workflow_job'
+            ? { id: payload.workflow_job.run_id, url: payload.workflow_job.html_url?.replace(/\/job\/\d+$/, '') }
+            : undefined,
+        items: [summarizeCoalescedEvent(kind, event, payload)],
+    };
+}
+
+function addCoalescedItem(summary, event, payload) {
+    const item = summarizeCoalescedEvent(summary.kind, event, payload);
+    // A job reports queued, in_progress and completed; keep only its latest state
+    const existing = summary.kind === 'workflow_job' ? summary.items.findIndex(i => i.id === item.id) : -1;
+    if (existing >= 0) {
+        summary.items[existing] = item;
+    } else {
+        summary.items.push(item);
+        summary.items.splice(0, summary.items.length - MAX_COALESCED_ITEMS);
+    }
+}
+
+// Queue the event, folding it into a waiting job for the same group if there is one
+function coalesceNotification(channelId, group, event, payload, deliveryId, windowSeconds) {
+    const now = Date.now();
+    const windowMs = windowSeconds * 1000;
+    const job = botState.notificationQueue.find(j =>
+        j.channelId === channelId && j.coalesceKey === group.key && j.attempts === 0 && !sendingJobs.has(j.id));
+
+    if (!job) {
+        const created = enqueueNotification(channelId, event, payload, deliveryId);
+        created.coalesceKey = group.key;
+        created.nextAttemptAt = now + windowMs;
+        return created;
+    }
+
+    if (job.event !== 'coalesced') {
+        job.payload = createCoalescedPayload(group.kind, job.event, job.payload);
+        job.event = 'coalesced';
+    }
+    addCoalescedItem(job.payload, event, payload);
+    if (deliveryId) {
+        job.deliveryIds = [...getJobDeliveryIds(job), deliveryId];
+    }
+    job.nextAttemptAt = Math.min(now + windowMs, Date.parse(job.createdAt) + windowMs * COALESCE_MAX_WAIT_WINDOWS);
+    return job;
+}
+
+// Embed fields for a 'coalesced' notification
+function renderCoalescedSummary(summary) {
+    const repo = summary.repository;
+    const items = summary.items;
+
+    switch (summary.kind) {
+        case 'push': {
+            const commits = items.flatMap(i => i.commits);
+            const branch = summary.ref?.replace(/^refs\/(heads|tags)\//, '');
+            const pushers = [...new Set(items.map(i => i.sender))];
+            const fields = [
+                { name: 'Branch', value: `\`${branch}\``, inline: true },
+                { name: 'Commits', value: `${commits.length}`, inline: true },
+                { name: 'Pushed by', value: pushers.join(', '), inline: true },
+            ];
+            if (items.some(i => i.forced)) {
+                fields.push({ name: '⚠️ Force-pushed', value: 'History was rewritten during this burst', inline: false });
+            }
+            fields.push({
+                name: 'Latest Changes',
+                value: commits.slice(-5).map(c =>
+                    `[\`${c.id.slice(0, 7)}\`](${c.url || `${repo.html_url}/commit/${c.id}`}) ${c.message}`
+                ).join('\n') || 'No commit info',
+            });
+            return {
+                title: `📤 ${items.length} pushes to ${repo.full_name}`,
+                url: items[items.length - 1].compare,
+                fields,
+            };
+        }
+
+        case 'review': {
+            const pr = summary.pull_request;
+            const lines = items.map(i => i.event === 'pull_request_review'
+                ? `${i.state === 'approved' ? '✅' : i.state === 'changes_requested' ? '❌' : '👁️'} **${i.user}** ${(i.state || 'reviewed').replace(/_/g, ' ')}`
+                : `💬 **${i.user}** on \`${i.path?.split('/').pop() || 'a file'}\`${i.body ? `: ${i.body}` : ''}`);
+            return {
+                title: `💬 ${items.length} review updates on #${pr.number}`,
+                url: pr.html_url,
+                fields: [
+                    { name: 'Pull Request', value: pr.title?.substring(0, 100) || 'Unknown', inline: false },
+                    { name: 'Activity', value: lines.slice(-10).join('\n').substring(0, 1024), inline: false },
+                ],
+            };
+        }
+
+        case 'workflow_job': {
+            const failed = items.some(i => i.status === 'failure');
+            const lines = items.map(i => {
+                const emoji = i.status === 'success' ? '✅' : i.status === 'failure' ? '❌' : i.status === 'cancelled' ? '🚫' : '🔧';
+                const seconds = i.started_at && i.completed_at
+                    ? Math.round((new Date(i.completed_at) - new Date(i.started_at)) / 1000)
+                    : null;
+                return `${emoji} [${i.name}](${i.html_url}) ${i.status}${seconds !== null ? ` (${Math.floor(seconds / 60)}m ${seconds % 60}s)` : ''}`;
+            });
+            return {
+                title: `🔧 ${items.length} jobs in ${items[0].workflow_name || 'workflow'}`,
+                url: summary.run?.url || undefined,
+                color: failed ? 0xF85149 : items.every(i => i.status === 'success') ? 0x238636 : 0x6E7681,
+                fields: [
+                    { name: 'Repository', value: repo.full_name, inline: true },
+                    { name: 'Jobs', value: lines.slice(-15).join('\n').substring(0, 1024), inline: false },
+                ],
+            };
+        }
+
+        default:
+            return { title: `📋 ${items.length} events on ${repo.full_name}` };
+    }
+}
+
+// ============================================
+// Digests
+// ============================================
+
+// Channels (/config digest) and users (/settings digest) in hourly or daily
+// mode get one summary per repository instead of a message per event. Events
+// are counted into botState.digests as they arrive and a timer sends each
+// digest through the notification queue once its period ends. User digests
+// are sent by DM and cover events involving their GitHub username.
+
+const DIGESTS_PATH = path.join(DATA_DIR, 'digests.json');
+const DIGEST_CHECK_INTERVAL_MS = 60 * 1000;
+const DIGEST_SEND_HOUR = Math.min(Math.max(parseInt(DIGEST_HOUR_UTC, 10) || 0, 0), 23);
+const MAX_DIGEST_ITEMS = 5;
+// Discord allows at most 10 embeds per message
+const MAX_DIGEST_REPOS_PER_MESSAGE = 10;
+
+const DIGEST_CATEGORIES = [
+    { key: 'prOpened', label: 'PRs Opened', emoji: '🔀' },
+    { key: 'prMerged', label: 'PRs Merged', emoji: '🟣' },
+    { key: 'issuesOpened', label: 'Issues Opened', emoji: '🐛' },
+    { key: 'issuesClosed', label: 'Issues Closed', emoji: '✅' },
+    { key: 'releases', label: 'Releases', emoji: '🚀' },
+    { key: 'failedWorkflows', label: 'Failed Workflows', emoji: '❌' },
+];
+
+let digestTimer = null;
+let digestRun = Promise.resolve();
+
+const digestWriter = createJsonFileWriter(DIGESTS_PATH, () => ({
+    digests: Array.from(botState.digests.values()),
+}));
+
+async function loadDigests() {
+    const data = await readJsonFile(DIGESTS_PATH, { digests: [] });
+    botState.digests.clear();
+    for (const digest of data.digests || []) {
+        botState.digests.set(digest.key, digest);
+    }
+    console.log(`[Digest] Loaded ${botState.digests.size} pending digest(s)`);
+}
+
+// When a digest started now should be sent: the next full hour, or the next
+// DIGEST_HOUR_UTC for daily digests
+function getNextDigestTime(mode, from = Date.now()) {
+    const next = new Date(from);
+    if (mode === 'hourly') {
+        next.setUTCMinutes(0, 0, 0);
+        next.setUTCHours(next.getUTCHours() + 1);
+    } else {
+        next.setUTCHours(DIGEST_SEND_HOUR, 0, 0, 0);
+        if (next.getTime() <= from) {
+            next.setUTCDate(next.getUTCDate() + 1);
+        }
+    }
+    return next.getTime();
+}
+
+// The digest section an event is listed under, or null if it is only counted
+function getDigestCategory(event, payload) {
+    const action = payload.action;
+    switch (event) {
+        case 'pull_request':
+            if (action === 'opened') return 'prOpened';
+            if (action === 'closed' && payload.pull_request?.merged) return 'prMerged';
+            return null;
+        case 'issues':
+            if (action === 'opened') return 'issuesOpened';
+            if (action === 'closed') return 'issuesClosed';
+            return null;
+        case 'release':
+            return action === 'published' ? 'releases' : null;
+        case 'workflow_run':
+            return action === 'completed' && payload.workflow_run?.conclusion === 'failure' ? 'failedWorkflows' : null;
+        default:
+            return null;
+    }
+}
+
+function summarizeDigestItem(category, payload) {
+    switch (category) {
+        case 'prOpened':
+        case 'prMerged':
+            return { title: payload.pull_request.title, number: payload.pull_request.number, url: payload.pull_request.html_url, user: payload.pull_request.user?.login };
+        case 'issuesOpened':
+        case 'issuesClosed':
+            return { title: payload.issue.title, number: payload.issue.number, url: payload.issue.html_url, user: payload.issue.user?.login };
+        case 'releases':
+            return { title: payload.release.name || payload.release.tag_name, url: payload.release.html_url, user: payload.release.author?.login };
+        case 'failedWorkflows':
+            return { title: `${payload.workflow_run.name} on ${payload.workflow_run.head_branch}`, url: payload.workflow_run.html_url, user: payload.workflow_run.actor?.login };
+    }
+}
+
+// Count the event into the target's current digest, starting one if needed
+function addToDigest(key, mode, event, payload) {
+    let digest = botState.digests.get(key);
+    if (!digest) {
+        digest = { key, mode, startedAt: new Date().toISOString(), dueAt: getNextDigestTime(mode), repos: {} };
+        botState.digests.set(key, digest);
+    }
+
+    const repoName = payload.repository.full_name;
+    const repo = digest.repos[repoName] ||= { url: payload.repository.html_url, total: 0, counts: {}, items: {} };
+    repo.total++;
+
+    const category = getDigestCategory(event, payload);
+    if (category) {
+        repo.counts[category] = (repo.counts[category] || 0) + 1;
+        const items = repo.items[category] ||= [];
+        items.push(summarizeDigestItem(category, payload));
+        items.splice(0, items.length - MAX_DIGEST_ITEMS);
+    }
+    digestWriter.schedule();
+}
+
+// Lowercased GitHub logins an event is about: authors, assignees and reviewers
+function getInvolvedUsers(payload) {
+    const users = [
+        payload.pull_request?.user,
+        ...(payload.pull_request?.assignees || []),
+        ...(payload.pull_request?.requested_reviewers || []),
+        payload.issue?.user,
+        ...(payload.issue?.assignees || []),
+        payload.release?.author,
+        payload.workflow_run?.actor,
+    ];
+    return new Set(users.filter(u => u?.login).map(u => u.login.toLowerCase()));
+}
+
+// Add the event to the digest of each user in digest mode it involves.
+// GitHub usernames are not verified, so a user only gets events that a
+// channel in one of their servers is subscribed to (see getSubscribedChannels).
+function collectUserDigests(event, payload, subscribed) {
+    const involved = getInvolvedUsers(payload);
+    if (involved.size === 0) return;
+
+    const guilds = new Set(subscribed.map(({ channelId }) => getChannelGuildId(channelId)).filter(Boolean));
+    const repo = payload.repository.full_name.toLowerCase();
+    for (const [userId, prefs] of userPreferences) {
+        // User digests are DMs, so only users who turned DMs on get one
+        if (prefs.digestMode === 'instant' || !prefs.dmNotifications || !prefs.githubUsername) continue;
+        if (!involved.has(prefs.githubUsername.toLowerCase()) || prefs.mutedRepos.includes(repo)) continue;
+        if (!prefs.guildIds.some(guildId => guilds.has(guildId))) continue;
+        addToDigest(`user:${userId}`, prefs.digestMode, event, payload);
+    }
+}
+
+// Called when a channel or user changes mode. Switching to instant sends what
+// has been collected so far; switching between hourly and daily keeps it.
+async function updateDigestMode(key, mode) {
+    const digest = botState.digests.get(key);
+    if (!digest) return;
+    if (mode === 'instant') {
+        digest.dueAt = Date.now();
+        await sendDueDigests();
+    } else {
+        digest.mode = mode;
+        digest.dueAt = getNextDigestTime(mode);
+        digestWriter.schedule();
+    }
+}
+
+// Queue the digest as one message per 10 repositories, busiest first.
+// Returns false if it should be tried again on the next check.
+async function sendDigest(digest) {
+    const [type, id] = digest.key.split(':');
+    let channelId = id;
+
+    if (type === 'user') {
+        const prefs = userPreferences.get(id);
+        if (!prefs?.dmNotifications) {
+            console.log(`[Digest] User ${id} has DMs turned off, dropping digest`);
+            return true;
+        }
+        if (prefs.silentMode?.enabled && new Date(prefs.silentMode.until) > new Date()) {
+            return false;
+        }
+        if (!botState.connected) {
+            return false;
+        }
+        try {
+            channelId = (await client.users.createDM(id)).id;
+        } catch (err) {
+            console.error(`[Digest] Could not open a DM with user ${id}, dropping digest:`, err.message);
+            return true;
+        }
+    }
+
+    const repos = Object.entries(digest.repos)
+        .map(([name, repo]) => ({ name, ...repo }))
+        .sort((a, b) => b.total - a.total);
+    for (let i = 0; i < repos.length; i += MAX_DIGEST_REPOS_PER_MESSAGE) {
+        enqueueNotification(channelId, 'digest', {
+            mode: digest.mode,
+            startedAt: digest.startedAt,
+            endedAt: new Date().toISOString(),
+            repos: repos.slice(i, i + MAX_DIGEST_REPOS_PER_MESSAGE),
+        });
+    }
+    console.log(`[Digest] Queued ${digest.mode} digest for ${digest.key} (${repos.length} repo(s))`);
+    return true;
+}
+
+// Runs one at a time so a digest is never queued twice
+function sendDueDigests() {
+    digestRun = digestRun.catch(() => {}).then(queueDueDigests);
+    return digestRun;
+}
+
+async function queueDueDigests() {
+    const now = Date.now();
+    let sent = 0;
+    for (const digest of [...botState.digests.values()]) {
+        if (digest.dueAt > now) continue;
+        if (await sendDigest(digest)) {
+            botState.digests.delete(digest.key);
+            sent++;
+        }
+    }
+    if (sent > 0) {
+        digestWriter.schedule();
+        await notificationQueueWriter.flush()
+            .catch(err => console.error('[Queue] Failed to save notification queue:', err.message));
+        processNotificationQueue();
+    }
+}
+
+function startDigestScheduler() {
+    clearInterval(digestTimer);
+    digestTimer = setInterval(() => {
+        sendDueDigests().catch(err => console.error('[Digest] Failed to send digests:', err.message));
+    }, DIGEST_CHECK_INTERVAL_MS);
+    digestTimer.unref?.();
+    return sendDueDigests();
+}
+
+// One embed per repository in a digest notification
+function createDigestEmbeds(payload) {
+    const period = payload.mode === 'daily' ? 'Daily' : 'Hourly';
+    const since = Math.floor(Date.parse(payload.startedAt) / 1000);
+
+    return payload.repos.map(repo => {
+        const fields = DIGEST_CATEGORIES
+            .filter(category => repo.counts[category.key])
+            .map(category => {
+                const count = repo.counts[category.key];
+                const items = repo.items[category.key] || [];
+                const lines = items.map(item =>
+                    `[${item.number ? `#${item.number} ` : ''}${item.title}](${item.url})${item.user ? ` by ${item.user}` : ''}`);
+                if (count > items.length) {
+                    lines.push(`…and ${count - items.length} more`);
+                }
+                return { name: `${category.emoji} ${category.label} (${count})`, value: lines.join('\n').substring(0, 1024), inline: false };
+            });
+
+        const listed = DIGEST_CATEGORIES.reduce((sum, category) => sum + (repo.counts[category.key] || 0), 0);
+        if (repo.total > listed) {
+            fields.push({ name: '📋 Other Activity', value: `${repo.total - listed} event(s)`, inline: false });
+        }
+
+        return {
+            title: `📊 ${period} Digest: ${repo.name}`,
+            url: repo.url,
+            description: `${repo.total} event(s) since <t:${since}:f>`,
+            color: repo.counts.failedWorkflows ? EmbedColors.WARNING : EmbedColors.INFO,
+            fields,
+            timestamp: payload.endedAt,
+            footer: { text: 'MeridusBot • Digest' },
+        };
+    });
+}
+
+// ============================================
+// Dead Letters
+// ============================================
+
+// Notifications the queue gave up on are kept here with the reason, so an
+// admin can fix the cause (permissions, deleted channel, ...) and replay them.
+
+const DEAD_LETTERS_PATH = path.join(DATA_DIR, 'dead-letters.json');
+const MAX_DEAD_LETTERS = 1000;
+
+const deadLetterWriter = createJsonFileWriter(DEAD_LETTERS_PATH, () => ({
+    deadLetters: Array.from(botState.deadLetters.values()),
+}));
+
+async function loadDeadLetters() {
+    const data = await readJsonFile(DEAD_LETTERS_PATH, { deadLetters: [] });
+    botState.deadLetters.clear();
+    for (const letter of data.deadLetters || []) {
+        botState.deadLetters.set(letter.id, letter);
+    }
+    console.log(`[DeadLetters] Loaded ${botState.deadLetters.size} dead letter(s)`);
+}
+
+function addDeadLetter(job, reason) {
+    botState.deadLetters.set(job.id, {
+        id: job.id,
+        channelId: job.channelId,
+        event: job.event,
+        action: job.payload?.action || null,
+        repo: job.payload?.repository?.full_name || null,
+        deliveryId: job.deliveryId || null,
+        payload: job.payload,
+        reason,
+        attempts: job.attempts,
+        createdAt: job.createdAt,
+        failedAt: new Date().toISOString(),
+    });
+
+    // Keep the newest letters if a broken channel floods the store
+    for (const id of botState.deadLetters.keys()) {
+        if (botState.deadLetters.size <= MAX_DEAD_LETTERS) break;
+        botState.deadLetters.delete(id);
+    }
+    deadLetterWriter.schedule();
+}
+
+// Look a letter up by full ID or by a unique prefix (as shown in /deadletters list),
+// among the letters for one guild's channels
+function findDeadLetter(id, guildId) {
+    if (!id) return null;
+    const matches = listDeadLetters({ guildId }).filter(l => l.id.startsWith(id));
+    return matches.find(l => l.id === id) || (matches.length === 1 ? matches[0] : null);
+}
+
+// Newest-first list of dead letters, optionally filtered. Given a guildId
+// (null included), only letters for its channels are listed.
+function listDeadLetters({ repo, event, channelId, guildId } = {}) {
+    return Array.from(botState.deadLetters.values())
+        .reverse()
+        .filter(l => guildId === undefined || isChannelInGuild(l.channelId, guildId))
+        .filter(l => !repo || l.repo?.toLowerCase() === repo.toLowerCase())
+        .filter(l => !event || l.event === event)
+        .filter(l => !channelId || l.channelId === channelId);
+}
+
+// Everything except the payload, for list views
+function summarizeDeadLetter(letter) {
+    const { payload, ...summary } = letter;
+    return summary;
+}
+
+// Put letters back on the notification queue; they are rendered and sent
+// exactly like a fresh webhook, and land here again if they still fail
+async function replayDeadLetters(letters) {
+    for (const letter of letters) {
+        botState.deadLetters.delete(letter.id);
+        enqueueNotification(letter.channelId, letter.event, letter.payload);
+    }
+    if (letters.length === 0) return;
+
+    deadLetterWriter.schedule();
+    await notificationQueueWriter.flush();
+    processNotificationQueue();
+    console.log(`[DeadLetters] Replaying ${letters.length} notification(s)`);
+}
+
+function discardDeadLetters(letters) {
+    for (const letter of letters) {
+        botState.deadLetters.delete(letter.id);
+    }
+    if (letters.length > 0) {
+        deadLetterWriter.schedule();
+    }
+}
+
 // ============================================
 // Express Routes (Web Server)
 // ============================================
@@ -81,74 +2408,439 @@ app.post('/api/webhooks/github', (req, res) => {
     const signature = req.headers['x-hub-signature-256'];
     const event = req.headers['x-github-event'];
     
-    // Verify GitHub signature if secret is set
-    if (GITHUB_WEBHOOK_SECRET) {
-        const hash = crypto
-            .createHmac('sha256', GITHUB_WEBHOOK_SECRET)
-            .update(JSON.stringify(req.body))
-            .digest('hex');
-        const expected = `sha256=${hash}`;
-        
-        if (signature !== expected) {
-            console.log('[GitHub Webhook] Invalid signature');
-            return res.status(401).json({ error: 'Invalid signature' });
+    // Verify GitHub signature against the exact bytes GitHub signed, accepting
+    // any active secret so GITHUB_WEBHOOK_SECRET can be rotated without downtime.
+    // A repo with no secret of its own and no shared secret cannot match.
+    const secrets = getWebhookSecrets(req.body?.repository?.full_name);
+    if (isWebhookSigningRequired() && !verifyGitHubSignature(req.rawBody, signature, secrets)) {
+        console.log('[GitHub Webhook] Invalid signature');
+        return res.status(401).json({ error: 'Invalid signature' });
+    }
+    
+    console.log(`[GitHub Webhook] Event: ${event}`);
+    
+    acceptWebhookEvent(res, event, req.body, req.headers['x-github-delivery']);
+});
+
+// GitLab Webhook Receiver (Push, Tag Push, Merge Request, Issue, Release and Pipeline hooks)
+app.post('/api/webhooks/gitlab', (req, res) => {
+    // Unverifiable deliveries are never accepted, so the route only exists with a token set
+    if (GITLAB_WEBHOOK_TOKENS.length === 0) {
+        return res.status(404).json({ error: 'GitLab webhooks are not enabled' });
+    }
+    if (!verifyGitLabToken(req.headers['x-gitlab-token'], GITLAB_WEBHOOK_TOKENS)) {
+        console.log('[GitLab Webhook] Invalid token');
+        return res.status(401).json({ error: 'Invalid token' });
+    }
+    
+    const normalized = normalizeGitLabEvent(req.body);
+    console.log(`[GitLab Webhook] Event: ${req.headers['x-gitlab-event']}${normalized ? ` -> ${normalized.event}` : ' (ignored)'}`);
+    if (!normalized) {
+        return res.status(202).json({ received: true, ignored: true });
+    }
+    
+    const uuid = req.headers['x-gitlab-event-uuid'] || req.headers['x-gitlab-webhook-uuid'];
+    acceptWebhookEvent(res, normalized.event, normalized.payload, uuid && `gitlab:${uuid}`);
+});
+
+// Gitea Webhook Receiver
+app.post('/api/webhooks/gitea', (req, res) => {
+    if (GITEA_WEBHOOK_SECRETS.length === 0) {
+        return res.status(404).json({ error: 'Gitea webhooks are not enabled' });
+    }
+    if (!verifyHmacSha256(req.rawBody, req.headers['x-gitea-signature'], GITEA_WEBHOOK_SECRETS)) {
+        console.log('[Gitea Webhook] Invalid signature');
+        return res.status(401).json({ error: 'Invalid signature' });
+    }
+    
+    const event = req.headers['x-gitea-event'];
+    const normalized = normalizeGiteaEvent(event, req.body);
+    console.log(`[Gitea Webhook] Event: ${event}${normalized ? '' : ' (ignored)'}`);
+    if (!normalized) {
+        return res.status(202).json({ received: true, ignored: true });
+    }
+    
+    const deliveryId = req.headers['x-gitea-delivery'];
+    acceptWebhookEvent(res, normalized.event, normalized.payload, deliveryId && `gitea:${deliveryId}`);
+});
+
+// Shared by the webhook receivers once a delivery is verified and normalized:
+// record it, skip redeliveries, then queue notifications and acknowledge
+// straight away so a slow Discord API never makes the sender time out
+function acceptWebhookEvent(res, event, payload, deliveryId) {
+    if (WEBHOOK_RECORD_DIR) {
+        recordWebhookFixture(event, deliveryId, payload);
+    }
+    
+    // Skip redeliveries of something we already posted
+    let delivery = null;
+    if (deliveryId) {
+        const { record, duplicate } = beginDelivery(deliveryId, event, payload);
+        if (duplicate) {
+            console.log(`[Webhook] Skipping duplicate delivery ${deliveryId}`);
+            return res.json({ received: true, event, duplicate: true, delivery: deliveryId });
         }
+        delivery = record;
+    }
+    
+    handleGitHubEvent(event, payload, delivery)
+        .then(channels => res.status(202).json({ received: true, event, queued: channels.length }))
+        .catch(err => {
+            console.error('[Webhook] Error:', err);
+            // A redelivery would notify the channels already queued a second time
+            if (err.queuedChannels > 0) {
+                return res.status(202).json({ received: true, event, queued: err.queuedChannels, error: err.message });
+            }
+            // Nothing went out, so a 5xx lets the sender redeliver; a failed
+            // delivery is not treated as a duplicate
+            if (delivery) markDeliveryFailed(delivery, err.message);
+            res.status(500).json({ received: true, error: err.message });
+        });
+}
+
+// Save a verified delivery in the format scripts/replay-webhook.js reads
+function recordWebhookFixture(event, deliveryId, payload) {
+    const name = [event, payload?.action, deliveryId || Date.now()]
+        .filter(Boolean)
+        .join('-')
+        .replace(/[^\w.-]/g, '_');
+    const fixture = { event, deliveryId: deliveryId || null, receivedAt: new Date().toISOString(), payload };
+    writeFileAtomic(path.join(WEBHOOK_RECORD_DIR, `${name}.json`), JSON.stringify(fixture, null, 2))
+        .catch(err => console.error('[GitHub Webhook] Failed to record fixture:', err.message));
+}
+
+// Recent webhook deliveries and what became of them
+app.get('/api/webhooks/deliveries', requireApiKey, (req, res) => {
+    const { repo, event, outcome } = req.query;
+    if (outcome && !DELIVERY_OUTCOMES.includes(outcome)) {
+        return res.status(400).json({ error: `outcome must be one of: ${DELIVERY_OUTCOMES.join(', ')}` });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE));
+    const deliveries = listDeliveries({ repo, event, outcome });
+
+    res.json({
+        deliveries: deliveries.slice((page - 1) * limit, page * limit),
+        pagination: { page, limit, total: deliveries.length, pages: Math.ceil(deliveries.length / limit) },
+        retentionHours: DELIVERY_RETENTION_MS / (60 * 60 * 1000),
+    });
+});
+
+app.get('/api/webhooks/deliveries/:deliveryId', requireApiKey, (req, res) => {
+    const delivery = botState.deliveries.get(req.params.deliveryId);
+    if (!delivery) {
+        return res.status(404).json({ error: 'Delivery not found' });
+    }
+    res.json(delivery);
+});
+
+// Notifications that could not be sent to Discord
+app.use('/api/webhooks/dead-letters', requireApiKey);
+
+app.get('/api/webhooks/dead-letters', (req, res) => {
+    const { repo, event, channel } = req.query;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE));
+    const letters = listDeadLetters({ repo, event, channelId: channel });
+
+    res.json({
+        deadLetters: letters.slice((page - 1) * limit, page * limit).map(summarizeDeadLetter),
+        pagination: { page, limit, total: letters.length, pages: Math.ceil(letters.length / limit) },
+    });
+});
+
+app.get('/api/webhooks/dead-letters/:id', (req, res) => {
+    const letter = findDeadLetter(req.params.id);
+    if (!letter) {
+        return res.status(404).json({ error: 'Dead letter not found' });
+    }
+    res.json(letter);
+});
+
+app.post('/api/webhooks/dead-letters/:id/replay', apiHandler(async (req, res) => {
+    const letter = findDeadLetter(req.params.id);
+    if (!letter) {
+        return res.status(404).json({ error: 'Dead letter not found' });
+    }
+    await replayDeadLetters([letter]);
+    res.status(202).json({ replayed: letter.id });
+}));
+
+app.delete('/api/webhooks/dead-letters/:id', (req, res) => {
+    const letter = findDeadLetter(req.params.id);
+    if (!letter) {
+        return res.status(404).json({ error: 'Dead letter not found' });
+    }
+    discardDeadLetters([letter]);
+    res.status(204).end();
+});
+
+// ============================================
+// Subscriptions REST API (for projectmeridus)
+// ============================================
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Verify the x-api-key header shared with projectmeridus
+function requireApiKey(req, res, next) {
+    if (MERIDUS_API_KEY && req.headers['x-api-key'] !== MERIDUS_API_KEY) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+    next();
+}
+
+// Turn rejected promises from async route handlers into 500 responses
+function apiHandler(fn) {
+    return (req, res, next) => {
+        Promise.resolve(fn(req, res, next)).catch(error => {
+            console.error(`[API] ${req.method} ${req.path} failed:`, error);
+            res.status(500).json({ error: error.message });
+        });
+    };
+}
+
+// Reject malformed channel IDs in the URL before touching state
+function validateChannelParam(req, res, next) {
+    if (!isSnowflake(req.params.channelId)) {
+        return res.status(400).json({ error: 'channelId must be a Discord channel ID' });
+    }
+    next();
+}
+
+// Validate a channel body ({ guildId?, repos }) into a subscription object
+function parseChannelSubscriptionBody(body) {
+    const errors = [];
+    if (body?.guildId !== undefined && body.guildId !== null && !isSnowflake(body.guildId)) {
+        errors.push('guildId must be a Discord guild ID');
+    }
+    const { repos, errors: repoErrors } = normalizeRepoSubscriptionList(body?.repos);
+    errors.push(...repoErrors);
+    const { settings, errors: settingErrors } = normalizeChannelSettings(body?.settings);
+    errors.push(...settingErrors);
+    const { templates, errors: templateErrors } = normalizeChannelTemplates(body?.templates);
+    errors.push(...templateErrors);
+    return {
+        sub: {
+            guildId: body?.guildId || null,
+            ...(settings ? { settings } : {}),
+            ...(templates ? { templates } : {}),
+            repos,
+        },
+        errors,
+    };
+}
+
+// "owner/name" from the per-repo sub-resource URL
+function repoFromParams(params) {
+    return `${params.owner}/${params.name}`;
+}
+
+app.use('/api/subscriptions', requireApiKey);
+
+// List subscriptions, optionally filtered by ?repo= and ?guild=, with ?page= and ?limit=
+app.get('/api/subscriptions', (req, res) => {
+    const { repo, guild } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    let items = Array.from(botState.subscriptions.entries());
+    if (guild) {
+        items = items.filter(([, sub]) => sub.guildId === guild);
+    }
+    if (repo) {
+        // A channel matches if any of its entries is that repo or a pattern covering it
+        items = items.filter(([, sub]) => sub.repos.some(e => e.repo === repo || matchesRepoPattern(e.repo, repo)));
+    }
+
+    const total = items.length;
+    res.json({
+        subscriptions: items
+            .slice((page - 1) * limit, page * limit)
+            .map(([channelId, sub]) => serializeChannelSubscription(channelId, sub)),
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+});
+
+// Create a channel subscription. Bodies with an `action` field use the legacy
+// action-switch API that projectmeridus originally called.
+app.post('/api/subscriptions', apiHandler(async (req, res) => {
+    if (req.body?.action !== undefined) {
+        return handleLegacySubscriptionAction(req, res);
+    }
+
+    const { channelId } = req.body || {};
+    if (!isSnowflake(channelId)) {
+        return res.status(400).json({ error: 'channelId must be a Discord channel ID' });
+    }
+    if (botState.subscriptions.has(channelId)) {
+        return res.status(409).json({ error: 'Channel already has subscriptions; use PUT to replace them' });
+    }
+
+    const { sub, errors } = parseChannelSubscriptionBody(req.body);
+    if (errors.length === 0 && sub.repos.length === 0) {
+        errors.push('repos must contain at least one entry');
+    }
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid subscription', details: errors });
+    }
+
+    botState.subscriptions.set(channelId, sub);
+    await persistSubscription(channelId);
+    res.status(201).json(serializeChannelSubscription(channelId, sub));
+}));
+
+app.get('/api/subscriptions/:channelId', validateChannelParam, (req, res) => {
+    const sub = botState.subscriptions.get(req.params.channelId);
+    if (!sub) {
+        return res.status(404).json({ error: 'No subscriptions for this channel' });
+    }
+    res.json(serializeChannelSubscription(req.params.channelId, sub));
+});
+
+// Replace everything a channel is subscribed to; an empty repos list removes it
+app.put('/api/subscriptions/:channelId', validateChannelParam, apiHandler(async (req, res) => {
+    const { channelId } = req.params;
+    const { sub, errors } = parseChannelSubscriptionBody(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid subscription', details: errors });
+    }
+
+    const existing = botState.subscriptions.get(channelId);
+    if (sub.repos.length === 0) {
+        botState.subscriptions.delete(channelId);
+        await persistSubscription(channelId);
+        return res.status(204).end();
+    }
+
+    // Settings and templates are kept unless the body replaces them
+    botState.subscriptions.set(channelId, {
+        ...existing,
+        guildId: sub.guildId || existing?.guildId || null,
+        ...(sub.settings ? { settings: sub.settings } : {}),
+        ...(sub.templates ? { templates: sub.templates } : {}),
+        repos: sub.repos,
+    });
+    await persistSubscription(channelId);
+    res.status(existing ? 200 : 201).json(serializeChannelSubscription(channelId, botState.subscriptions.get(channelId)));
+}));
+
+app.delete('/api/subscriptions/:channelId', validateChannelParam, apiHandler(async (req, res) => {
+    const { channelId } = req.params;
+    if (!botState.subscriptions.has(channelId)) {
+        return res.status(404).json({ error: 'No subscriptions for this channel' });
+    }
+    botState.subscriptions.delete(channelId);
+    await persistSubscription(channelId);
+    res.status(204).end();
+}));
+
+app.get('/api/subscriptions/:channelId/repos', validateChannelParam, (req, res) => {
+    const sub = botState.subscriptions.get(req.params.channelId);
+    if (!sub) {
+        return res.status(404).json({ error: 'No subscriptions for this channel' });
+    }
+    res.json({ repos: sub.repos });
+});
+
+// Add one (channel, repo) pair
+app.post('/api/subscriptions/:channelId/repos', validateChannelParam, apiHandler(async (req, res) => {
+    const { channelId } = req.params;
+    const { entry, errors } = normalizeRepoSubscription(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid subscription', details: errors });
+    }
+    if (findRepoSubscription(botState.subscriptions.get(channelId), entry.repo)) {
+        return res.status(409).json({ error: `Channel is already subscribed to ${entry.repo}; use PUT to replace it` });
+    }
+
+    ensureChannelSubscription(channelId, isSnowflake(req.body.guildId) ? req.body.guildId : null).repos.push(entry);
+    await persistSubscription(channelId);
+    res.status(201).json(entry);
+}));
+
+app.get('/api/subscriptions/:channelId/repos/:owner/:name', validateChannelParam, (req, res) => {
+    const entry = findRepoSubscription(botState.subscriptions.get(req.params.channelId), repoFromParams(req.params));
+    if (!entry) {
+        return res.status(404).json({ error: 'Channel is not subscribed to this repo' });
     }
-    
-    console.log(`[GitHub Webhook] Event: ${event}`);
-    
-    // Process the GitHub event
-    handleGitHubEvent(event, req.body)
-        .then(() => res.json({ received: true, event }))
-        .catch(err => {
-            console.error('[GitHub Webhook] Error:', err);
-            res.json({ received: true, error: err.message });
-        });
+    res.json(entry);
 });
 
-// API for projectmeridus to manage subscriptions
-app.post('/api/subscriptions', async (req, res) => {
+// Create or replace one (channel, repo) pair
+app.put('/api/subscriptions/:channelId/repos/:owner/:name', validateChannelParam, apiHandler(async (req, res) => {
+    const { channelId } = req.params;
+    const repo = repoFromParams(req.params);
+    const { entry, errors } = normalizeRepoSubscription({ ...req.body, repo });
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid subscription', details: errors });
+    }
+
+    const sub = ensureChannelSubscription(channelId, isSnowflake(req.body?.guildId) ? req.body.guildId : null);
+    const index = sub.repos.findIndex(e => e.repo.toLowerCase() === repo.toLowerCase());
+    if (index >= 0) {
+        sub.repos[index] = entry;
+    } else {
+        sub.repos.push(entry);
+    }
+    await persistSubscription(channelId);
+    res.status(index >= 0 ? 200 : 201).json(entry);
+}));
+
+app.delete('/api/subscriptions/:channelId/repos/:owner/:name', validateChannelParam, apiHandler(async (req, res) => {
+    const { channelId } = req.params;
+    if (!removeRepoSubscription(channelId, repoFromParams(req.params))) {
+        return res.status(404).json({ error: 'Channel is not subscribed to this repo' });
+    }
+    await persistSubscription(channelId);
+    res.status(204).end();
+}));
+
+// Legacy { action: 'add' | 'remove' | 'list' } bodies on POST /api/subscriptions
+async function handleLegacySubscriptionAction(req, res) {
     const { action, channelId, repo, events } = req.body;
-    
-    // Verify API key
-    if (MERIDUS_API_KEY && req.headers['x-api-key'] !== MERIDUS_API_KEY) {
-        return res.status(401).json({ error: 'Unauthorized' });
+
+    if (action === 'list') {
+        return res.json({ subscriptions: Object.fromEntries(botState.subscriptions) });
     }
-    
-    try {
-        if (action === 'add') {
-            if (!botState.subscriptions.has(channelId)) {
-                botState.subscriptions.set(channelId, { repos: [], events: [] });
-            }
-            const sub = botState.subscriptions.get(channelId);
-            if (repo && !sub.repos.includes(repo)) {
-                sub.repos.push(repo);
-            }
-            if (events) {
-                sub.events = [...new Set([...sub.events, ...events])];
-            }
-            return res.json({ success: true, subscription: sub });
-        }
-        
-        if (action === 'remove') {
-            if (repo) {
-                const sub = botState.subscriptions.get(channelId);
-                if (sub) {
-                    sub.repos = sub.repos.filter(r => r !== repo);
-                }
-            }
-            return res.json({ success: true });
+    if (action !== 'add' && action !== 'remove') {
+        return res.status(400).json({ error: `Unknown action "${action}" (expected add, remove or list)` });
+    }
+    if (!isSnowflake(channelId)) {
+        return res.status(400).json({ error: 'channelId must be a Discord channel ID' });
+    }
+    if (!repo) {
+        return res.status(400).json({ error: 'repo is required; use DELETE /api/subscriptions/:channelId to remove a whole channel' });
+    }
+
+    if (action === 'add') {
+        const { entry: normalized, errors } = normalizeRepoSubscription(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid subscription', details: errors });
         }
-        
-        if (action === 'list') {
-            return res.json({ subscriptions: Object.fromEntries(botState.subscriptions) });
+        // Only fields present in the body change; the normalized entry fills
+        // in defaults and drops empty lists, so map those back
+        const given = (key) => req.body[key] !== undefined && req.body[key] !== null;
+        const changes = {};
+        if (given('events')) changes.events = normalized.events;
+        for (const key of Object.keys(SUBSCRIPTION_FILTER_LISTS)) {
+            if (given(key)) changes[key] = normalized[key] || [];
         }
-        
-        res.json({ error: 'Unknown action' });
-    } catch (error) {
-        res.status(500).json({ error: error.message });
+        if (given('ignoreBots')) changes.ignoreBots = normalized.ignoreBots === true;
+        if (given('failuresOnly')) changes.failuresOnly = normalized.failuresOnly === true;
+        if (req.body.minSeverity !== undefined) changes.minSeverity = normalized.minSeverity || null;
+        const entry = upsertRepoSubscription(channelId, normalized.repo, changes);
+        await persistSubscription(channelId);
+        return res.json({ success: true, subscription: entry });
     }
-});
+
+    if (!removeRepoSubscription(channelId, repo, events)) {
+        return res.status(404).json({ error: 'Channel is not subscribed to this repo' });
+    }
+    await persistSubscription(channelId);
+    return res.json({ success: true });
+}
 
 // Status endpoint - combines bot status with website status
 app.get('/api/status', async (req, res) => {
@@ -156,6 +2848,7 @@ app.get('/api/status', async (req, res) => {
         connected: botState.connected,
         uptime: Math.floor((Date.now() - botState.startTime) / 1000),
         subscriptions: botState.subscriptions.size,
+        queued: botState.notificationQueue.length,
     };
     
     let websiteStatus = null;
@@ -201,7 +2894,7 @@ async function handleSlashCommand(commandName, options, req, res, interaction =
         // Merge subcommand options into args
         if (subcommand.options) {
             for (const opt of subcommand.options) {
-                args[opt.name] = opt.value;
+                args[opt.name] = opt.attachment || opt.value;
             }
         }
     }
@@ -209,6 +2902,8 @@ async function handleSlashCommand(commandName, options, req, res, interaction =
     // Get user ID from interaction if available
     const userId = interaction?.user?.id || null;
     args.userId = userId;
+    args.memberPermissions = interaction?.memberPermissions || null;
+    args.guildId = interaction?.guildId || null;
 
     switch (commandName) {
         case 'ping':
@@ -320,6 +3015,21 @@ async function handleSlashCommand(commandName, options, req, res, interaction =
         case 'export':
             return await handleExportCommand(args);
 
+        case 'import':
+            return await handleImportCommand(args);
+
+        case 'deliveries':
+            return await handleDeliveriesCommand(args);
+
+        case 'deadletters':
+            return await handleDeadLettersCommand(args);
+
+        case 'config':
+            return await handleConfigCommand(args);
+
+        case 'template':
+            return await handleTemplateCommand(args);
+
         default:
             console.log(`[DEBUG] Unknown command received: "${commandName}"`);
             console.log(`[DEBUG] Command name length: ${commandName.length}`);
@@ -337,7 +3047,8 @@ function parseOptions(options) {
         if (opt.options) {
             Object.assign(args, parseOptions(opt.options));
         } else {
-            args[opt.name] = opt.value;
+            // Attachment options carry the uploaded file alongside its ID
+            args[opt.name] = opt.attachment || opt.value;
         }
     }
     return args;
@@ -348,8 +3059,13 @@ async function handleStatusCommand(args) {
         connected: botState.connected,
         uptime: Math.floor((Date.now() - botState.startTime) / 1000),
         subscriptions: botState.subscriptions.size,
+        queued: botState.notificationQueue.length,
     };
     
+    const appFields = GITHUB_APP_ENABLED
+        ? [{ name: 'GitHub App', value: `${botState.installations.size} installation(s)`, inline: true }]
+        : [];
+    
     return {
         type: 4,
         data: {
@@ -360,6 +3076,8 @@ async function handleStatusCommand(args) {
                     { name: 'Status', value: status.connected ? '🟢 Online' : '🔴 Offline', inline: true },
                     { name: 'Uptime', value: `${status.uptime}s`, inline: true },
                     { name: 'Subscriptions', value: `${status.subscriptions} channels`, inline: true },
+                    { name: 'Queued Notifications', value: `${status.queued}`, inline: true },
+                    ...appFields,
                 ],
                 timestamp: new Date().toISOString(),
             }]
@@ -367,49 +3085,182 @@ async function handleStatusCommand(args) {
     };
 }
 
+// Check a /subscribe request against GitHub and Discord before saving it.
+// Resolves to { repo, events, errors } with the repo name as GitHub spells it.
+async function validateSubscriptionRequest({ channelId, repo, events, token }) {
+    const errors = [];
+    let canonicalRepo = repo;
+
+    const normalized = events ? normalizeEventList(events) : { events: null, errors: [] };
+    errors.push(...normalized.errors);
+    if (events && normalized.errors.length === 0 && normalized.events.length === 0) {
+        errors.push('no events given');
+    }
+
+    if (!isValidRepoName(repo)) {
+        errors.push(`invalid repository "${repo}" (expected owner/repo, owner/* or owner/prefix-*)`);
+    } else if (repo !== '*' && !isExternalRepo(repo)) {
+        // GitLab and Gitea projects cannot be looked up on GitHub
+        const [owner, name] = repo.split('/');
+        try {
+            if (isRepoPattern(name)) {
+                // Patterns can only be checked as far as the owner
+                const response = await githubFetch(token, `/users/${owner}`);
+                if (response.status === 404) {
+                    errors.push(`GitHub user or organization "${owner}" does not exist`);
+                } else if (!response.ok) {
+                    errors.push(`could not verify "${owner}" on GitHub (HTTP ${response.status})`);
+                }
+            } else {
+                const response = await githubFetch(token, `/repos/${owner}/${name}`);
+                if (response.status === 404) {
+                    errors.push(`repository "${repo}" does not exist or is not visible to the bot's GitHub token`);
+                } else if (!response.ok) {
+                    errors.push(`could not verify "${repo}" on GitHub (HTTP ${response.status})`);
+                } else {
+                    canonicalRepo = (await response.json()).full_name || repo;
+                }
+            }
+        } catch (err) {
+            errors.push(`could not reach GitHub to verify "${repo}": ${err.message}`);
+        }
+    }
+
+    // Only checkable once the gateway client is logged in
+    if (botState.connected) {
+        try {
+            const channel = await client.channels.fetch(channelId);
+            const permissions = channel?.permissionsFor?.(client.user);
+            if (permissions) {
+                const sendFlag = channel.isThread?.()
+                    ? PermissionFlagsBits.SendMessagesInThreads
+                    : PermissionFlagsBits.SendMessages;
+                const required = [
+                    ['View Channel', PermissionFlagsBits.ViewChannel],
+                    ['Send Messages', sendFlag],
+                    ['Embed Links', PermissionFlagsBits.EmbedLinks],
+                ];
+                const missing = required.filter(([, flag]) => !permissions.has(flag)).map(([label]) => label);
+                if (missing.length > 0) {
+                    errors.push(`the bot is missing ${missing.join(', ')} permission(s) in <#${channelId}>`);
+                }
+            }
+        } catch (err) {
+            errors.push(`the bot cannot access <#${channelId}> (${err.message})`);
+        }
+    }
+
+    return { repo: canonicalRepo, events: normalized.events, errors };
+}
+
 async function handleSubscribeCommand(args) {
     const channelId = args.channel;
-    const repo = args.repo;
-    const events = (args.events || 'push,issues,pull_request,release').split(',');
+    const repo = args.repo?.trim();
+    const rawEvents = args.events ? args.events.split(',') : null;
+    const excludeRepos = args.exclude ? parseListOption(args.exclude) : null;
+    const branches = args.branches ? parseListOption(args.branches) : null;
+    const labels = args.labels ? parseListOption(args.labels) : null;
+    const authors = args.authors ? parseListOption(args.authors) : null;
+    const senders = args.senders ? parseListOption(args.senders) : null;
     
     if (!channelId || !repo) {
         return {
             type: 4,
-            data: { content: '❌ Usage: /subscribe <channel> <repo> [events]' }
+            data: { content: '❌ Usage: /subscribe <channel> <repo> [events] [exclude] [branches] [labels] [authors] [senders] [ignore_bots] [failures_only] [min_severity]' }
         };
     }
     
-    if (!botState.subscriptions.has(channelId)) {
-        botState.subscriptions.set(channelId, { repos: [], events: [] });
+    const token = await getGitHubToken(args.userId, repo);
+    const validation = await validateSubscriptionRequest({ channelId, repo, events: rawEvents, token });
+    if (validation.errors.length > 0) {
+        return createSubscriptionErrorResponse('❌ Subscription Not Saved', validation.errors);
     }
+    const events = validation.events;
     
-    const sub = botState.subscriptions.get(channelId);
-    sub.repos.push(repo);
-    sub.events = [...new Set([...sub.events, ...events])];
+    ensureChannelSubscription(channelId, args.guildId);
+    const entry = upsertRepoSubscription(channelId, validation.repo, {
+        events, excludeRepos, branches, labels, authors, senders,
+        ignoreBots: args.ignore_bots,
+        failuresOnly: args.failures_only,
+        minSeverity: args.min_severity,
+    });
+    await persistSubscription(channelId);
+    
+    // Point the repo's webhook at us when the token is allowed to manage hooks.
+    // Repos the GitHub App is installed on already send events to the app.
+    let webhookResult = null;
+    const parsed = isRepoPattern(entry.repo) || isExternalRepo(entry.repo) ? null : parseRepoInput(entry.repo);
+    if (parsed && findInstallationForRepo(entry.repo)) {
+        webhookResult = { status: 'skipped', reason: 'events arrive through the GitHub App installation' };
+    } else if (parsed && token) {
+        webhookResult = await syncRepoWebhook(parsed.owner, parsed.repo, token)
+            .catch(err => ({ status: 'error', reason: err.message }));
+    }
     
     return {
         type: 4,
         data: {
             embeds: [{
                 title: '✅ Subscribed',
-                description: `Now receiving events for **${repo}** in this channel`,
+                description: isRepoPattern(entry.repo)
+                    ? `Now receiving events for every repository matching **${entry.repo}** in this channel`
+                    : `Now receiving events for **${entry.repo}** in this channel`,
                 color: 0x238636,
                 fields: [
-                    { name: 'Events', value: sub.events.join(', ') },
+                    { name: 'Events', value: formatSubscriptionEvents(entry) },
+                    ...(describeSubscriptionFilters(entry).length
+                        ? [{ name: 'Filters', value: describeSubscriptionFilters(entry).join('\n') }]
+                        : []),
+                    ...(webhookResult
+                        ? [{ name: 'Webhook', value: formatWebhookSyncResult(webhookResult) }]
+                        : []),
                 ],
             }]
         }
     };
 }
 
+// Lists what was wrong with a /subscribe or /unsubscribe request
+function createSubscriptionErrorResponse(title, errors) {
+    return {
+        type: 4,
+        data: {
+            embeds: [{
+                title,
+                description: errors.map(e => `• ${e}`).join('\n'),
+                color: EmbedColors.ERROR,
+                fields: [
+                    { name: 'Supported Events', value: SUPPORTED_EVENTS.map(e => `\`${e}\``).join(', ') },
+                ],
+                footer: { text: 'Events may be qualified with an action, e.g. pull_request.opened' }
+            }],
+            flags: 64
+        }
+    };
+}
+
 async function handleUnsubscribeCommand(args) {
     const channelId = args.channel;
-    const repo = args.repo;
+    const repo = args.repo?.trim();
+    
+    // Only a missing events option removes the whole (channel, repo) pair
+    let events = null;
+    if (args.events !== undefined && args.events !== null) {
+        const normalized = normalizeEventList(args.events.split(','));
+        const errors = [...normalized.errors];
+        if (errors.length === 0 && normalized.events.length === 0) {
+            errors.push('no events given');
+        }
+        if (errors.length > 0) {
+            return createSubscriptionErrorResponse('❌ Subscription Not Changed', errors);
+        }
+        events = normalized.events;
+    }
     
-    if (!channelId) {
+    if (!channelId || (events && !repo)) {
         return {
             type: 4,
-            data: { content: '❌ Usage: /unsubscribe <channel> [repo]' }
+            data: { content: '❌ Usage: /unsubscribe <channel> [repo] [events]' }
         };
     }
     
@@ -419,14 +3270,42 @@ async function handleUnsubscribeCommand(args) {
     }
     
     if (repo) {
-        sub.repos = sub.repos.filter(r => r !== repo);
+        const entry = findRepoSubscription(sub, repo);
+        if (!entry) {
+            return { type: 4, data: { content: `❌ This channel is not subscribed to ${repo}` } };
+        }
+        // Removing events from an all-events subscription would need an
+        // exclusion list, which subscriptions do not have
+        if (events && entry.events.length === 0) {
+            return {
+                type: 4,
+                data: { content: `❌ This channel receives all events for ${repo}. Use /subscribe with the events to keep, or leave out events to unsubscribe from ${repo}` }
+            };
+        }
+        const notSubscribed = events ? events.filter(e => !entry.events.includes(e)) : [];
+        if (notSubscribed.length > 0) {
+            return {
+                type: 4,
+                data: { content: `❌ This channel does not receive ${notSubscribed.join(', ')} for ${repo} (receiving: ${formatSubscriptionEvents(entry)})` }
+            };
+        }
+        removeRepoSubscription(channelId, repo, events);
     } else {
         botState.subscriptions.delete(channelId);
     }
+    await persistSubscription(channelId);
+    
+    const remaining = repo ? findRepoSubscription(botState.subscriptions.get(channelId), repo) : null;
+    let content = '✅ All subscriptions removed';
+    if (remaining) {
+        content = `✅ Stopped ${events.join(', ')} for ${repo} (still receiving: ${formatSubscriptionEvents(remaining)})`;
+    } else if (repo) {
+        content = `✅ Unsubscribed from ${repo}`;
+    }
     
     return {
         type: 4,
-        data: { content: repo ? `✅ Unsubscribed from ${repo}` : '✅ All subscriptions removed' }
+        data: { content }
     };
 }
 
@@ -445,10 +3324,19 @@ async function handleListCommand(args) {
                 embeds: [{
                     title: '📋 Subscriptions',
                     color: 0x7289da,
-                    fields: [
-                        { name: 'Repositories', value: sub.repos.join('\n') || 'None' },
-                        { name: 'Events', value: sub.events.join(', ') || 'All' },
-                    ],
+                    description: describeChannelSettings(sub.settings).join('\n') || undefined,
+                    fields: sub.repos.map(entry => {
+                        let value = describeRepoSubscription(entry);
+                        const deletedHook = botState.deletedHooks.get(entry.repo.toLowerCase());
+                        if (deletedHook) {
+                            value += `\n⚠️ Webhook deleted ${new Date(deletedHook.deletedAt).toLocaleString()}${deletedHook.deletedBy ? ` by ${deletedHook.deletedBy}` : ''}`;
+                        }
+                        if (isRepoPattern(entry.repo)) {
+                            const recent = getRecentRepoMatches(channelId, entry);
+                            value += `\nRecently matched: ${recent.length > 0 ? recent.join(', ') : 'none yet'}`;
+                        }
+                        return { name: entry.repo, value };
+                    }),
                 }]
             }
         };
@@ -456,7 +3344,7 @@ async function handleListCommand(args) {
     
     // List all subscriptions
     const allSubs = Array.from(botState.subscriptions.entries()).map(([ch, sub]) => {
-        return `<#${ch}>: ${sub.repos.join(', ')}`;
+        return `<#${ch}>: ${sub.repos.map(entry => `${entry.repo} (${formatSubscriptionEvents(entry)})`).join(', ')}`;
     });
     
     return {
@@ -673,10 +3561,12 @@ async function handleCommitsCommand(args) {
 // ============================================
 
 // Helper to get GitHub token for user from projectmeridus database
-async function getGitHubToken(discordUserId = null) {
+// Pass the repo (owner/repo) a command works on, so the bot's GitHub App
+// installation can be used when the user has no linked token
+async function getGitHubToken(discordUserId = null, repo = null) {
     // If no discord user ID, fall back to server token
     if (!discordUserId || !MERIDUS_URL || !MERIDUS_API_KEY) {
-        return GITHUB_TOKEN;
+        return getServerGitHubToken(repo);
     }
 
     try {
@@ -690,7 +3580,7 @@ async function getGitHubToken(discordUserId = null) {
 
         if (!response.ok) {
             console.log(`[getGitHubToken] Failed to fetch token for ${discordUserId}: HTTP ${response.status}`);
-            return GITHUB_TOKEN; // Fall back to server token
+            return getServerGitHubToken(repo); // Fall back to server token
         }
 
         const data = await response.json();
@@ -699,11 +3589,25 @@ async function getGitHubToken(discordUserId = null) {
             return data.token;
         }
 
-        return GITHUB_TOKEN; // Fall back to server token if no user token
+        return getServerGitHubToken(repo); // Fall back to server token if no user token
     } catch (err) {
         console.error(`[getGitHubToken] Error fetching token: ${err.message}`);
-        return GITHUB_TOKEN; // Fall back to server token on error
+        return getServerGitHubToken(repo); // Fall back to server token on error
+    }
+}
+
+// Token the bot uses on its own behalf: an installation token when the
+// GitHub App is installed on the repo, otherwise GITHUB_TOKEN
+async function getServerGitHubToken(repo = null) {
+    const installation = repo ? findInstallationForRepo(repo) : null;
+    if (installation) {
+        try {
+            return await getInstallationToken(installation.id);
+        } catch (err) {
+            console.error(`[GitHubApp] ${err.message}`);
+        }
     }
+    return GITHUB_TOKEN;
 }
 
 // Helper to link Discord user with projectmeridus account
@@ -841,7 +3745,7 @@ async function handleRepoInfoCommand(args) {
     }
 
     const { owner, repo } = parsed;
-    const token = await getGitHubToken(args.userId);
+    const token = await getGitHubToken(args.userId, `${owner}/${repo}`);
     
     if (!token) {
         return {
@@ -949,7 +3853,7 @@ async function handlePRCommand(args) {
     }
 
     const { owner, repo } = parsed;
-    const token = await getGitHubToken(args.userId);
+    const token = await getGitHubToken(args.userId, `${owner}/${repo}`);
     
     if (!token) {
         return {
@@ -1052,7 +3956,7 @@ async function handleStarCommand(args) {
     }
 
     const { owner, repo } = parsed;
-    const token = await getGitHubToken(args.userId);
+    const token = await getGitHubToken(args.userId, `${owner}/${repo}`);
     
     if (!token) {
         return {
@@ -1157,7 +4061,7 @@ async function handleWatchCommand(args) {
     }
 
     const { owner, repo } = parsed;
-    const token = await getGitHubToken(args.userId);
+    const token = await getGitHubToken(args.userId, `${owner}/${repo}`);
     
     if (!token) {
         return {
@@ -1193,58 +4097,392 @@ async function handleWatchCommand(args) {
             newState = !currentlySubscribed;
         }
 
-        // Set subscription
-        const updateResponse = await fetch(`https://api.github.com/repos/${owner}/${repo}/subscription`, {
-            method: 'PUT',
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Accept': 'application/vnd.github.v3+json',
-                'User-Agent': 'MeridusBot/1.0',
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                subscribed: newState,
-                ignored: false
-            })
+        // Set subscription
+        const updateResponse = await fetch(`https://api.github.com/repos/${owner}/${repo}/subscription`, {
+            method: 'PUT',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Accept': 'application/vnd.github.v3+json',
+                'User-Agent': 'MeridusBot/1.0',
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                subscribed: newState,
+                ignored: false
+            })
+        });
+
+        if (updateResponse.status === 401) {
+            return {
+                type: 4,
+                data: { content: '🔒 GitHub token expired or lacks permissions.' }
+            };
+        }
+
+        if (updateResponse.status === 404) {
+            return {
+                type: 4,
+                data: { content: '❌ Repository not found.' }
+            };
+        }
+
+        const statusText = newState ? '👁️ Watching' : '🚫 Not Watching';
+        const color = newState ? EmbedColors.SUCCESS : EmbedColors.WARNING;
+
+        return {
+            type: 4,
+            data: {
+                embeds: [{
+                    title: `${statusText}: ${owner}/${repo}`,
+                    description: newState 
+                        ? `You are now watching **${owner}/${repo}**. You'll receive notifications for this repository.`
+                        : `You are no longer watching **${owner}/${repo}**. Notifications disabled.`,
+                    color: color,
+                    fields: [
+                        { 
+                            name: 'Previous Status', 
+                            value: currentlySubscribed ? '👁️ Watching' : '🚫 Not Watching', 
+                            inline: true 
+                        },
+                        { 
+                            name: 'Current Status', 
+                            value: statusText, 
+                            inline: true 
+                        }
+                    ],
+                    timestamp: new Date().toISOString()
+                }]
+            }
+        };
+    } catch (err) {
+        return {
+            type: 4,
+            data: { content: `❌ Error: ${err.message}` }
+        };
+    }
+}
+
+// ============================================
+// GitHub App Authentication
+// ============================================
+
+// With GITHUB_APP_ID and GITHUB_APP_PRIVATE_KEY_PATH set, the bot also runs as a
+// GitHub App. Repos the app is installed on are reached with short-lived
+// installation tokens, so they work without anyone's personal token.
+
+const GITHUB_APP_ENABLED = Boolean(GITHUB_APP_ID && GITHUB_APP_PRIVATE_KEY_PATH);
+// Installation tokens last an hour; replace them a little before that
+const INSTALLATION_TOKEN_MARGIN_MS = 5 * 60 * 1000;
+
+let githubAppPrivateKey = null;
+const installationTokens = new Map(); // installation ID -> Promise<{ token, expiresAt }>
+
+// RS256 JWT that authenticates as the app itself, valid for under 10 minutes
+function createGitHubAppJwt() {
+    if (!githubAppPrivateKey) {
+        githubAppPrivateKey = fs.readFileSync(GITHUB_APP_PRIVATE_KEY_PATH, 'utf8');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    // iat is backdated a minute to allow for clock drift between us and GitHub
+    const unsigned = `${encode({ alg: 'RS256', typ: 'JWT' })}.${encode({ iat: now - 60, exp: now + 9 * 60, iss: String(GITHUB_APP_ID) })}`;
+    const signature = crypto.sign('sha256', Buffer.from(unsigned), githubAppPrivateKey).toString('base64url');
+    return `${unsigned}.${signature}`;
+}
+
+// Cached installation access token, minted again shortly before it expires
+async function getInstallationToken(installationId) {
+    const cached = installationTokens.get(installationId);
+    if (cached) {
+        const current = await cached.catch(() => null);
+        if (current && current.expiresAt - INSTALLATION_TOKEN_MARGIN_MS > Date.now()) {
+            return current.token;
+        }
+    }
+
+    const request = githubFetch(createGitHubAppJwt(), `/app/installations/${installationId}/access_tokens`, { method: 'POST' })
+        .then(async response => {
+            if (!response.ok) {
+                throw new Error(`Could not create a token for installation ${installationId}: HTTP ${response.status}`);
+            }
+            const data = await response.json();
+            return { token: data.token, expiresAt: Date.parse(data.expires_at) };
+        });
+    installationTokens.set(installationId, request);
+
+    try {
+        return (await request).token;
+    } catch (err) {
+        installationTokens.delete(installationId);
+        throw err;
+    }
+}
+
+// Fetch every page of a GitHub list endpoint (100 per page)
+async function fetchAllGitHubPages(token, apiPath, pick = data => data) {
+    const items = [];
+    for (let page = 1; ; page++) {
+        const separator = apiPath.includes('?') ? '&' : '?';
+        const response = await githubFetch(token, `${apiPath}${separator}per_page=100&page=${page}`);
+        if (!response.ok) {
+            throw new Error(`GET ${apiPath} failed: HTTP ${response.status}`);
+        }
+        const batch = pick(await response.json());
+        items.push(...batch);
+        if (batch.length < 100) return items;
+    }
+}
+
+function setInstallation(installation, repositories = []) {
+    const record = {
+        id: installation.id,
+        account: installation.account?.login,
+        accountType: installation.account?.type,
+        repositorySelection: installation.repository_selection,
+        repos: repositories.map(r => r.full_name),
+        suspended: Boolean(installation.suspended_at),
+    };
+    botState.installations.set(installation.id, record);
+    return record;
+}
+
+// Load every installation and the repos it can access. Webhook events keep
+// this current afterwards, so it only runs at startup.
+async function syncGitHubAppInstallations() {
+    if (!GITHUB_APP_ENABLED) return;
+
+    const installations = await fetchAllGitHubPages(createGitHubAppJwt(), '/app/installations');
+    botState.installations.clear();
+    for (const installation of installations) {
+        let repositories = [];
+        if (!installation.suspended_at) {
+            try {
+                const token = await getInstallationToken(installation.id);
+                repositories = await fetchAllGitHubPages(token, '/installation/repositories', data => data.repositories);
+            } catch (err) {
+                console.error(`[GitHubApp] Could not list repositories for ${installation.account?.login}: ${err.message}`);
+            }
+        }
+        setInstallation(installation, repositories);
+    }
+    console.log(`[GitHubApp] Loaded ${installations.length} installation(s)`);
+}
+
+// Active installation that covers owner/repo. For patterns such as owner/*
+// any installation on the owner counts.
+function findInstallationForRepo(repo) {
+    if (!GITHUB_APP_ENABLED || !repo) return null;
+
+    const lowerRepo = repo.toLowerCase();
+    const owner = lowerRepo.split('/')[0];
+    for (const installation of botState.installations.values()) {
+        if (installation.suspended || installation.account?.toLowerCase() !== owner) continue;
+        if (installation.repositorySelection === 'all' || isRepoPattern(repo) ||
+            installation.repos.some(r => r.toLowerCase() === lowerRepo)) {
+            return installation;
+        }
+    }
+    return null;
+}
+
+// Keep installations in step with installation and installation_repositories webhooks
+function handleInstallationEvent(event, payload) {
+    const installation = payload.installation;
+    if (!installation?.id) return;
+
+    if (event === 'installation') {
+        switch (payload.action) {
+            case 'created':
+                setInstallation(installation, payload.repositories || []);
+                break;
+            case 'deleted':
+                botState.installations.delete(installation.id);
+                installationTokens.delete(installation.id);
+                break;
+            default: {
+                // suspend, unsuspend, new_permissions_accepted
+                const existing = botState.installations.get(installation.id);
+                setInstallation(installation, existing ? existing.repos.map(full_name => ({ full_name })) : []);
+                if (payload.action === 'suspend') {
+                    installationTokens.delete(installation.id);
+                }
+            }
+        }
+    } else {
+        const existing = botState.installations.get(installation.id);
+        const removed = new Set((payload.repositories_removed || []).map(r => r.full_name.toLowerCase()));
+        const repos = (existing?.repos || [])
+            .filter(r => !removed.has(r.toLowerCase()))
+            .map(full_name => ({ full_name }))
+            .concat(payload.repositories_added || []);
+        setInstallation(installation, repos);
+    }
+
+    console.log(`[GitHubApp] ${event}.${payload.action} for ${installation.account?.login} (${installation.id})`);
+}
+
+// ============================================
+// GitHub Webhook Provisioning
+// ============================================
+
+// Where GitHub should deliver events for this bot
+function getBotWebhookUrl() {
+    return `${BOT_URL.replace(/\/$/, '')}/api/webhooks/github`;
+}
+
+// GitHub REST call with the headers used throughout the bot (anonymous without a token)
+function githubFetch(token, apiPath, { method = 'GET', body } = {}) {
+    const headers = {
+        'Accept': 'application/vnd.github.v3+json',
+        'User-Agent': 'MeridusBot/1.0'
+    };
+    if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+    }
+    if (body !== undefined) {
+        headers['Content-Type'] = 'application/json';
+    }
+    return fetch(`https://api.github.com${apiPath}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+}
+
+// GitHub webhook events needed to serve every subscription covering a repo.
+// Action-qualified names ("pull_request.opened") need the bare event.
+function getSubscribedGitHubEvents(repo) {
+    const events = new Set();
+    for (const sub of botState.subscriptions.values()) {
+        for (const entry of sub.repos) {
+            if (!matchesRepoPattern(entry.repo, repo)) continue;
+            if (entry.excludeRepos?.some(pattern => matchesRepoPattern(pattern, repo))) continue;
+            if (entry.events.length === 0) return ['*'];
+            entry.events.forEach(e => events.add(e.split('.')[0]));
+            // Hook deletion, renames and transfers are always reported
+            WEBHOOK_LIFECYCLE_EVENTS.forEach(e => e !== 'ping' && events.add(e));
+        }
+    }
+    return Array.from(events).sort();
+}
+
+// Find the bot's own hook among a repo's webhooks
+async function findBotWebhook(owner, repo, token) {
+    const response = await githubFetch(token, `/repos/${owner}/${repo}/hooks`);
+    if (!response.ok) {
+        return { error: `Could not list webhooks: HTTP ${response.status}` };
+    }
+    const hooks = await response.json();
+    return { hook: hooks.find(h => h.config?.url === getBotWebhookUrl()) || null };
+}
+
+// Create or update the repo webhook pointing at this bot so it delivers the
+// union of subscribed events. With create: false an existing hook is only updated.
+// Resolves to { status: 'created' | 'updated' | 'skipped' | 'error', reason?, events?, hook? }.
+async function syncRepoWebhook(owner, repo, token, { create = true } = {}) {
+    const repoResponse = await githubFetch(token, `/repos/${owner}/${repo}`);
+    if (!repoResponse.ok) {
+        return { status: 'error', reason: `Could not read repository: HTTP ${repoResponse.status}` };
+    }
+    const repoData = await repoResponse.json();
+    if (!repoData.permissions?.admin) {
+        return { status: 'skipped', reason: 'token does not have admin rights on this repository' };
+    }
+
+    const events = getSubscribedGitHubEvents(repoData.full_name);
+    if (events.length === 0) {
+        return { status: 'skipped', reason: 'no channel is subscribed to this repository' };
+    }
+
+    const { hook, error } = await findBotWebhook(owner, repo, token);
+    if (error) {
+        return { status: 'error', reason: error };
+    }
+    if (!hook && !create) {
+        return { status: 'skipped', reason: 'no MeridusBot webhook exists yet (use /webhook create)' };
+    }
+
+    const config = {
+        url: getBotWebhookUrl(),
+        content_type: 'json',
+        insecure_ssl: '0',
+    };
+    // GitHub drops the secret on update unless it is sent again
+    const secret = getPrimaryWebhookSecret(repoData.full_name);
+    if (secret) {
+        config.secret = secret;
+    }
+
+    const response = hook
+        ? await githubFetch(token, `/repos/${owner}/${repo}/hooks/${hook.id}`, {
+            method: 'PATCH',
+            body: { active: true, events, config },
+        })
+        : await githubFetch(token, `/repos/${owner}/${repo}/hooks`, {
+            method: 'POST',
+            body: { name: 'web', active: true, events, config },
         });
 
-        if (updateResponse.status === 401) {
-            return {
-                type: 4,
-                data: { content: '🔒 GitHub token expired or lacks permissions.' }
-            };
-        }
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        return { status: 'error', reason: errorData.message || `HTTP ${response.status}` };
+    }
 
-        if (updateResponse.status === 404) {
-            return {
-                type: 4,
-                data: { content: '❌ Repository not found.' }
-            };
-        }
+    console.log(`[Webhook] ${hook ? 'Updated' : 'Created'} webhook for ${owner}/${repo}: ${events.join(', ')}`);
+    return { status: hook ? 'updated' : 'created', events, hook: await response.json() };
+}
 
-        const statusText = newState ? '👁️ Watching' : '🚫 Not Watching';
-        const color = newState ? EmbedColors.SUCCESS : EmbedColors.WARNING;
+// Remove the bot's webhook from a repo
+async function deleteRepoWebhook(owner, repo, token) {
+    const { hook, error } = await findBotWebhook(owner, repo, token);
+    if (error) {
+        return { status: 'error', reason: error };
+    }
+    if (!hook) {
+        return { status: 'skipped', reason: 'no MeridusBot webhook found' };
+    }
+
+    const response = await githubFetch(token, `/repos/${owner}/${repo}/hooks/${hook.id}`, { method: 'DELETE' });
+    if (!response.ok) {
+        return { status: 'error', reason: `HTTP ${response.status}` };
+    }
+    console.log(`[Webhook] Deleted webhook for ${owner}/${repo}`);
+    return { status: 'deleted' };
+}
+
+// One-line summary of a provisioning result for embeds
+function formatWebhookSyncResult(result) {
+    switch (result.status) {
+        case 'created': return `✅ Webhook created (${result.events.join(', ')})`;
+        case 'updated': return `🔄 Webhook updated (${result.events.join(', ')})`;
+        case 'deleted': return '🗑️ Webhook deleted';
+        case 'skipped': return `ℹ️ Not changed: ${result.reason}`;
+        default: return `❌ Failed: ${result.reason}`;
+    }
+}
+
+// /webhook create|sync|delete subcommands
+async function handleWebhookManageCommand(args, owner, repo, token) {
+    const subcommand = args.subcommand;
+    try {
+        const result = subcommand === 'delete'
+            ? await deleteRepoWebhook(owner, repo, token)
+            : await syncRepoWebhook(owner, repo, token, { create: subcommand === 'create' });
+
+        const color = result.status === 'error' ? EmbedColors.ERROR
+            : result.status === 'skipped' ? EmbedColors.WARNING
+            : EmbedColors.SUCCESS;
 
         return {
             type: 4,
             data: {
                 embeds: [{
-                    title: `${statusText}: ${owner}/${repo}`,
-                    description: newState 
-                        ? `You are now watching **${owner}/${repo}**. You'll receive notifications for this repository.`
-                        : `You are no longer watching **${owner}/${repo}**. Notifications disabled.`,
-                    color: color,
+                    title: `🔗 Webhook ${subcommand}: ${owner}/${repo}`,
+                    description: formatWebhookSyncResult(result),
+                    color,
                     fields: [
-                        { 
-                            name: 'Previous Status', 
-                            value: currentlySubscribed ? '👁️ Watching' : '🚫 Not Watching', 
-                            inline: true 
-                        },
-                        { 
-                            name: 'Current Status', 
-                            value: statusText, 
-                            inline: true 
-                        }
+                        { name: 'Delivery URL', value: `\`${getBotWebhookUrl()}\``, inline: false },
                     ],
                     timestamp: new Date().toISOString()
                 }]
@@ -1277,7 +4515,7 @@ async function handleWebhookCommand(args) {
     }
 
     const { owner, repo } = parsed;
-    const token = await getGitHubToken(args.userId);
+    const token = await getGitHubToken(args.userId, `${owner}/${repo}`);
     
     if (!token) {
         return {
@@ -1286,6 +4524,10 @@ async function handleWebhookCommand(args) {
         };
     }
 
+    if (['create', 'sync', 'delete'].includes(args.subcommand)) {
+        return await handleWebhookManageCommand(args, owner, repo, token);
+    }
+
     try {
         const response = await fetch(`https://api.github.com/repos/${owner}/${repo}/hooks`, {
             headers: {
@@ -1323,7 +4565,8 @@ async function handleWebhookCommand(args) {
         const meridusWebhookUrl = `${baseUrl}/api/webhooks/github`;
         const meridusWebhook = webhooks.find(h => 
             h.config?.url?.includes('meridus') || 
-            h.config?.url === meridusWebhookUrl
+            h.config?.url === meridusWebhookUrl ||
+            h.config?.url === getBotWebhookUrl()
         );
 
         if (webhooks.length === 0) {
@@ -1359,7 +4602,7 @@ async function handleWebhookCommand(args) {
                     fields: [
                         { 
                             name: 'Meridus Webhook', 
-                            value: meridusWebhook ? '✅ Configured' : '❌ Not found\nExpected URL: `' + meridusWebhookUrl + '`', 
+                            value: meridusWebhook ? '✅ Configured' : '❌ Not found\nExpected URL: `' + getBotWebhookUrl() + '`\nUse `/webhook create` to set it up', 
                             inline: false 
                         },
                         { 
@@ -1411,7 +4654,7 @@ async function handleMergeCommand(args) {
     }
 
     const { owner, repo } = parsed;
-    const token = await getGitHubToken(args.userId);
+    const token = await getGitHubToken(args.userId, `${owner}/${repo}`);
     
     if (!token) {
         return {
@@ -1863,7 +5106,7 @@ async function handleIssueCreateCommand(args, userId) {
     }
 
     const { owner, repo } = parsed;
-    const token = await getGitHubToken(args.userId);
+    const token = await getGitHubToken(args.userId, `${owner}/${repo}`);
     
     if (!token) {
         return {
@@ -1969,7 +5212,7 @@ async function handleReleaseCommand(args) {
     }
 
     const { owner, repo } = parsed;
-    const token = await getGitHubToken(args.userId);
+    const token = await getGitHubToken(args.userId, `${owner}/${repo}`);
     
     if (!token) {
         return {
@@ -2065,7 +5308,7 @@ async function handleBranchCommand(args) {
     }
 
     const { owner, repo } = parsed;
-    const token = await getGitHubToken(args.userId);
+    const token = await getGitHubToken(args.userId, `${owner}/${repo}`);
     
     if (!token) {
         return {
@@ -2173,7 +5416,7 @@ async function handleContributorsCommand(args) {
     }
 
     const { owner, repo } = parsed;
-    const token = await getGitHubToken(args.userId);
+    const token = await getGitHubToken(args.userId, `${owner}/${repo}`);
     
     if (!token) {
         return {
@@ -2274,7 +5517,7 @@ async function handleWorkflowCommand(args) {
     }
 
     const { owner, repo } = parsed;
-    const token = await getGitHubToken(args.userId);
+    const token = await getGitHubToken(args.userId, `${owner}/${repo}`);
     
     if (!token) {
         return {
@@ -2405,10 +5648,25 @@ async function handleWorkflowCommand(args) {
 // QOL FEATURES - New Command Handlers
 // ============================================
 
-// In-memory storage for QOL features
+// Storage for QOL features; preferences are saved to DATA_DIR, cooldowns are not
 const userPreferences = new Map();
 const commandCooldowns = new Map();
 
+const USER_PREFERENCES_PATH = path.join(DATA_DIR, 'user-preferences.json');
+
+const userPreferencesWriter = createJsonFileWriter(USER_PREFERENCES_PATH, () => ({
+    users: Object.fromEntries(userPreferences),
+}));
+
+async function loadUserPreferences() {
+    const data = await readJsonFile(USER_PREFERENCES_PATH, { users: {} });
+    userPreferences.clear();
+    for (const [userId, prefs] of Object.entries(data.users || {})) {
+        userPreferences.set(userId, { ...getDefaultUserPrefs(), ...prefs });
+    }
+    console.log(`[Settings] Loaded preferences for ${userPreferences.size} user(s)`);
+}
+
 // Default cooldowns in seconds
 const DEFAULT_COOLDOWNS = {
     repos: 30, issues: 15, commits: 15, pr: 20, search: 10,
@@ -2431,16 +5689,22 @@ function setCooldown(userId, command) {
     commandCooldowns.set(`${userId}:${command}`, Date.now());
 }
 
+// Helper: Default user prefs
+function getDefaultUserPrefs() {
+    return {
+        dmNotifications: false,
+        digestMode: 'instant',
+        silentMode: null,
+        mutedRepos: [],
+        githubUsername: null,
+        guildIds: [] // servers the user ran /settings in; limits what user digests cover
+    };
+}
+
 // Helper: Get user prefs
 function getUserPrefs(userId) {
     if (!userPreferences.has(userId)) {
-        userPreferences.set(userId, {
-            dmNotifications: false,
-            digestMode: 'instant',
-            silentMode: null,
-            mutedRepos: [],
-            githubUsername: null
-        });
+        userPreferences.set(userId, getDefaultUserPrefs());
     }
     return userPreferences.get(userId);
 }
@@ -2503,7 +5767,7 @@ async function handleHelpCommand(args) {
                     { name: 'ℹ️ General', value: '`/ping`, `/status`, `/help`', inline: false },
                     { name: '📁 GitHub', value: '`/repos`, `/issues`, `/commits`, `/pr`, `/search`, `/mystats`, `/actions`, `/reviews`', inline: false },
                     { name: '🔔 Subscriptions', value: '`/subscribe`, `/unsubscribe`, `/list`', inline: false },
-                    { name: '⚙️ Settings', value: '`/settings`, `/export`', inline: false }
+                    { name: '⚙️ Settings', value: '`/settings`, `/config`, `/template`, `/export`, `/import`, `/deliveries`, `/deadletters`', inline: false }
                 ]
             }]
         }
@@ -2570,7 +5834,7 @@ async function handleActionsCommand(args) {
     }
     
     const { owner, repo } = parsed;
-    const token = await getGitHubToken(args.userId);
+    const token = await getGitHubToken(args.userId, `${owner}/${repo}`);
     
     if (!token) {
         return { type: 4, data: { content: '🔒 GitHub token not configured.' } };
@@ -2641,174 +5905,1391 @@ async function handleReviewsCommand(args) {
             return { type: 4, data: { content: '🎉 No pull requests awaiting your review!' } };
         }
         
-        const prList = prs.map(p => {
-            const repo = p.repository_url?.split('/').slice(-2).join('/') || 'unknown';
-            return `• **${repo}#${p.number}** ${p.title}`;
-        }).join('\n');
-        
+        const prList = prs.map(p => {
+            const repo = p.repository_url?.split('/').slice(-2).join('/') || 'unknown';
+            return `• **${repo}#${p.number}** ${p.title}`;
+        }).join('\n');
+        
+        return {
+            type: 4,
+            data: {
+                embeds: [{
+                    title: '👀 Review Requests',
+                    description: prList,
+                    color: EmbedColors.WARNING,
+                    footer: { text: `${prs.length} PRs awaiting review` }
+                }]
+            }
+        };
+    } catch (err) {
+        return { type: 4, data: { content: formatErrorWithSuggestion(err, 'reviews') } };
+    }
+}
+
+// 5. Settings Command
+async function handleSettingsCommand(args) {
+    const userId = args.userId;
+    if (!userId) {
+        return { type: 4, data: { content: '❌ Could not identify user.' } };
+    }
+    
+    const action = args.action || 'view';
+    const value = args.value || '';
+    const prefs = getUserPrefs(userId);
+    if (args.guildId && !prefs.guildIds.includes(args.guildId)) {
+        prefs.guildIds.push(args.guildId);
+        userPreferencesWriter.schedule();
+    }
+    if (action !== 'view') {
+        userPreferencesWriter.schedule();
+    }
+    
+    switch (action) {
+        case 'view': {
+            const silentStatus = prefs.silentMode?.enabled 
+                ? `🔇 Until ${new Date(prefs.silentMode.until).toLocaleString()}` 
+                : '🔊 Off';
+            
+            return {
+                type: 4,
+                data: {
+                    embeds: [{
+                        title: '⚙️ Your Settings',
+                        color: EmbedColors.INFO,
+                        fields: [
+                            { name: '📩 DM Notifications', value: prefs.dmNotifications ? '✅ Enabled' : '❌ Disabled', inline: true },
+                            { name: '📊 Digest Mode', value: prefs.digestMode, inline: true },
+                            { name: '🔇 Silent Mode', value: silentStatus, inline: true },
+                            { name: '🔗 GitHub Username', value: prefs.githubUsername || 'Not set', inline: true },
+                            { name: '🔕 Muted Repos', value: prefs.mutedRepos.length > 0 ? prefs.mutedRepos.join(', ') : 'None', inline: false }
+                        ]
+                    }]
+                }
+            };
+        }
+        
+        case 'dm': {
+            prefs.dmNotifications = !prefs.dmNotifications;
+            return { type: 4, data: { content: `📩 DM notifications ${prefs.dmNotifications ? '✅ enabled' : '❌ disabled'}.` } };
+        }
+        
+        case 'digest': {
+            if (!['instant', 'hourly', 'daily'].includes(value)) {
+                return { type: 4, data: { content: '❌ Invalid mode. Use: instant, hourly, or daily' } };
+            }
+            prefs.digestMode = value;
+            await updateDigestMode(`user:${userId}`, value);
+            const notes = [];
+            if (value !== 'instant' && !prefs.githubUsername) {
+                notes.push('Set your GitHub username with `github_user` so the bot knows which events involve you.');
+            }
+            if (value !== 'instant' && !prefs.dmNotifications) {
+                notes.push('Digests arrive by DM, so turn DM notifications on with `dm` to receive them.');
+            }
+            const note = notes.map(n => `\n${n}`).join('');
+            return { type: 4, data: { content: `📊 Digest mode set to **${value}**.${note}` } };
+        }
+        
+        case 'silent_on': {
+            const duration = parseInt(value) || 60;
+            const until = new Date();
+            until.setMinutes(until.getMinutes() + duration);
+            prefs.silentMode = { enabled: true, until: until.toISOString() };
+            return { type: 4, data: { content: `🔇 Silent mode enabled for ${duration} minutes.` } };
+        }
+        
+        case 'silent_off': {
+            prefs.silentMode = { enabled: false, until: null };
+            return { type: 4, data: { content: '🔊 Silent mode disabled.' } };
+        }
+        
+        case 'mute': {
+            if (!value) return { type: 4, data: { content: '❌ Please specify a repository to mute.' } };
+            if (!prefs.mutedRepos.includes(value.toLowerCase())) {
+                prefs.mutedRepos.push(value.toLowerCase());
+            }
+            return { type: 4, data: { content: `🔕 Muted **${value}**.` } };
+        }
+        
+        case 'unmute': {
+            if (!value) return { type: 4, data: { content: '❌ Please specify a repository to unmute.' } };
+            prefs.mutedRepos = prefs.mutedRepos.filter(r => r !== value.toLowerCase());
+            return { type: 4, data: { content: `🔔 Unmuted **${value}**.` } };
+        }
+        
+        case 'github_user': {
+            if (!value) return { type: 4, data: { content: '❌ Please specify your GitHub username.' } };
+            prefs.githubUsername = value;
+            return { type: 4, data: { content: `🔗 GitHub username set to **${value}**.` } };
+        }
+        
+        default:
+            return { type: 4, data: { content: '❌ Unknown action. Use: view, dm, digest, silent_on, silent_off, mute, unmute, github_user' } };
+    }
+}
+
+// 6. Export Command
+async function handleExportCommand(args) {
+    if (!args.memberPermissions?.has(PermissionFlagsBits.Administrator)) {
+        return { type: 4, data: { content: '🔒 Only server administrators can export subscriptions.', flags: 64 } };
+    }
+    
+    // Only this server's channels, so other servers' setups never leak
+    const data = exportSubscriptions({ guildId: args.guildId });
+    const fileName = `meridus-subscriptions-${data.exported_at.slice(0, 10)}.json`;
+    
+    return {
+        type: 4,
+        data: {
+            content: `📤 **${data.subscriptions.length} subscription(s) exported.** Restore them with \`/import\`.`,
+            files: [{ attachment: Buffer.from(JSON.stringify(data, null, 2)), name: fileName }],
+            flags: 64
+        }
+    };
+}
+
+// Largest /import attachment we are willing to download
+const MAX_IMPORT_BYTES = 1024 * 1024;
+
+// 7. Import Command
+async function handleImportCommand(args) {
+    if (!args.memberPermissions?.has(PermissionFlagsBits.Administrator)) {
+        return { type: 4, data: { content: '🔒 Only server administrators can import subscriptions.', flags: 64 } };
+    }
+    
+    const file = args.file;
+    const mode = args.mode || 'merge';
+    const dryRun = args.dry_run !== false;
+    
+    if (!file?.url) {
+        return { type: 4, data: { content: '❌ Please attach a JSON file created by /export.', flags: 64 } };
+    }
+    if (file.size > MAX_IMPORT_BYTES) {
+        return { type: 4, data: { content: `❌ File is too large (max ${MAX_IMPORT_BYTES / 1024} KB).`, flags: 64 } };
+    }
+    if (!['merge', 'replace'].includes(mode)) {
+        return { type: 4, data: { content: '❌ Invalid mode. Use: merge or replace', flags: 64 } };
+    }
+    
+    let data;
+    try {
+        const response = await fetch(file.url);
+        if (!response.ok) {
+            return { type: 4, data: { content: `❌ Could not download attachment: HTTP ${response.status}`, flags: 64 } };
+        }
+        data = JSON.parse(await response.text());
+    } catch (err) {
+        return { type: 4, data: { content: `❌ Could not read attachment as JSON: ${err.message}`, flags: 64 } };
+    }
+    
+    const { entries, errors } = parseSubscriptionExport(data);
+    // An import can only touch channels of the server it is run in
+    for (const [channelId] of entries) {
+        if (!isChannelInGuild(channelId, args.guildId)) {
+            errors.push(`channel ${channelId} is not in this server`);
+        }
+    }
+    if (errors.length > 0) {
+        return {
+            type: 4,
+            data: {
+                embeds: [{
+                    title: '❌ Import Failed Validation',
+                    description: errors.slice(0, 15).map(e => `• ${e}`).join('\n') +
+                        (errors.length > 15 ? `\n…and ${errors.length - 15} more` : ''),
+                    color: EmbedColors.ERROR,
+                    footer: { text: 'Nothing was changed' }
+                }],
+                flags: 64
+            }
+        };
+    }
+    
+    // Build the resulting subscription set without touching live state.
+    // Replace only clears this server's channels; other servers are kept.
+    const result = new Map(JSON.parse(JSON.stringify(Array.from(botState.subscriptions.entries())))
+        .filter(([channelId]) => mode === 'merge' || !isChannelInGuild(channelId, args.guildId)));
+    for (const [channelId, sub] of entries) {
+        const repos = result.get(channelId)?.repos || [];
+        for (const entry of sub.repos) {
+            const existing = repos.findIndex(e => e.repo === entry.repo);
+            if (existing >= 0) {
+                repos[existing] = entry;
+            } else {
+                repos.push(entry);
+            }
+        }
+        const current = result.get(channelId);
+        result.set(channelId, {
+            ...current,
+            guildId: args.guildId,
+            ...(sub.settings ? { settings: { ...current?.settings, ...sub.settings } } : {}),
+            ...(sub.templates ? { templates: { ...current?.templates, ...sub.templates } } : {}),
+            repos,
+        });
+    }
+    
+    const diff = diffSubscriptions(botState.subscriptions, result);
+    const formatChanges = (items, prefix) => items.slice(0, 10)
+        .map(({ channelId, entry }) => `${prefix} <#${channelId}> **${entry.repo}** (${formatSubscriptionEvents(entry)})`)
+        .join('\n') + (items.length > 10 ? `\n…and ${items.length - 10} more` : '');
+    
+    const fields = [
+        { name: `➕ Added (${diff.added.length})`, value: formatChanges(diff.added, '+') || 'None' },
+        { name: `✏️ Changed (${diff.changed.length})`, value: formatChanges(diff.changed, '~') || 'None' },
+        { name: `➖ Removed (${diff.removed.length})`, value: formatChanges(diff.removed, '-') || 'None' },
+    ];
+    
+    if (!dryRun) {
+        botState.subscriptions.clear();
+        for (const [channelId, sub] of result) {
+            botState.subscriptions.set(channelId, sub);
+        }
+        await subscriptionStore.replaceAll(Array.from(result.entries()));
+    }
+    
+    return {
+        type: 4,
+        data: {
+            embeds: [{
+                title: dryRun ? `🔍 Import Preview (${mode})` : `✅ Subscriptions Imported (${mode})`,
+                description: dryRun
+                    ? 'No changes have been made. Run `/import` again with `dry_run: False` to apply.'
+                    : `Now tracking ${Array.from(result.entries()).filter(([id, sub]) => sub.guildId === args.guildId || isChannelInGuild(id, args.guildId)).length} channel(s) in this server.`,
+                color: dryRun ? EmbedColors.INFO : EmbedColors.SUCCESS,
+                fields,
+                timestamp: new Date().toISOString()
+            }],
+            flags: 64
+        }
+    };
+}
+
+// 8. Deliveries Command
+const DELIVERY_OUTCOME_ICONS = {
+    processing: '⏳',
+    delivered: '✅',
+    partial: '⚠️',
+    no_subscribers: '➖',
+    failed: '❌',
+};
+
+async function handleDeliveriesCommand(args) {
+    if (!args.memberPermissions?.has(PermissionFlagsBits.Administrator)) {
+        return { type: 4, data: { content: '🔒 Only server administrators can view webhook deliveries.', flags: 64 } };
+    }
+    
+    const limit = Math.min(Math.max(args.limit || 10, 1), 25);
+    const deliveries = listDeliveries({ repo: args.repo, outcome: args.outcome, guildId: args.guildId });
+    
+    if (deliveries.length === 0) {
+        return { type: 4, data: { content: '📭 No webhook deliveries recorded' + (args.repo ? ` for **${args.repo}**.` : '.'), flags: 64 } };
+    }
+    
+    const lines = deliveries.slice(0, limit).map(d => {
+        const received = Math.floor(Date.parse(d.receivedAt) / 1000);
+        const eventName = d.action ? `${d.event}.${d.action}` : d.event;
+        const details = [
+            `<t:${received}:R>`,
+            `${d.channels.filter(id => isChannelInGuild(id, args.guildId)).length} channel(s)`,
+            d.duplicates ? `${d.duplicates} repeat(s) skipped` : null,
+            d.error ? `\`${d.error}\`` : null,
+        ].filter(Boolean).join(' · ');
+        return `${DELIVERY_OUTCOME_ICONS[d.outcome] || '•'} \`${d.id.slice(0, 8)}\` **${eventName}** ${d.repo || ''}\n${details}`;
+    });
+    
+    return {
+        type: 4,
+        data: {
+            embeds: [{
+                title: '📬 Recent Webhook Deliveries',
+                description: lines.join('\n'),
+                color: EmbedColors.INFO,
+                footer: { text: `Showing ${lines.length} of ${deliveries.length} · kept for ${DELIVERY_RETENTION_MS / (60 * 60 * 1000)}h` },
+                timestamp: new Date().toISOString()
+            }],
+            flags: 64
+        }
+    };
+}
+
+// 9. Dead Letters Command
+function formatDeadLetterLine(letter) {
+    const failed = Math.floor(Date.parse(letter.failedAt) / 1000);
+    const eventName = letter.action ? `${letter.event}.${letter.action}` : letter.event;
+    return `\`${letter.id.slice(0, 8)}\` **${eventName}** ${letter.repo || ''} → <#${letter.channelId}>\n` +
+        `<t:${failed}:R> · ${letter.reason}`;
+}
+
+async function handleDeadLettersCommand(args) {
+    if (!args.memberPermissions?.has(PermissionFlagsBits.Administrator)) {
+        return { type: 4, data: { content: '🔒 Only server administrators can manage failed notifications.', flags: 64 } };
+    }
+    
+    const subcommand = args.subcommand || 'list';
+    
+    if (subcommand === 'list') {
+        const limit = Math.min(Math.max(args.limit || 10, 1), 25);
+        const letters = listDeadLetters({ repo: args.repo, guildId: args.guildId });
+        if (letters.length === 0) {
+            return { type: 4, data: { content: '📭 No failed notifications.', flags: 64 } };
+        }
+        
+        const lines = letters.slice(0, limit).map(formatDeadLetterLine);
         return {
             type: 4,
             data: {
                 embeds: [{
-                    title: '👀 Review Requests',
-                    description: prList,
+                    title: '📮 Failed Notifications',
+                    description: lines.join('\n'),
                     color: EmbedColors.WARNING,
-                    footer: { text: `${prs.length} PRs awaiting review` }
-                }]
+                    footer: { text: `Showing ${lines.length} of ${letters.length} · /deadletters replay id:<id>` },
+                    timestamp: new Date().toISOString()
+                }],
+                flags: 64
             }
         };
-    } catch (err) {
-        return { type: 4, data: { content: formatErrorWithSuggestion(err, 'reviews') } };
+    }
+    
+    // replay and discard take "all" as well as a single ID
+    const letters = args.id === 'all' && subcommand !== 'show'
+        ? listDeadLetters({ repo: args.repo, guildId: args.guildId }).reverse()
+        : [findDeadLetter(args.id, args.guildId)].filter(Boolean);
+    if (letters.length === 0) {
+        return { type: 4, data: { content: `❌ No failed notification matches \`${args.id}\`.`, flags: 64 } };
+    }
+    
+    switch (subcommand) {
+        case 'show': {
+            const letter = letters[0];
+            return {
+                type: 4,
+                data: {
+                    embeds: [{
+                        title: `📮 Failed Notification ${letter.id.slice(0, 8)}`,
+                        color: EmbedColors.WARNING,
+                        fields: [
+                            { name: 'Event', value: letter.action ? `${letter.event}.${letter.action}` : letter.event, inline: true },
+                            { name: 'Repository', value: letter.repo || 'Unknown', inline: true },
+                            { name: 'Channel', value: `<#${letter.channelId}>`, inline: true },
+                            { name: 'Attempts', value: `${letter.attempts}`, inline: true },
+                            { name: 'Failed', value: `<t:${Math.floor(Date.parse(letter.failedAt) / 1000)}:f>`, inline: true },
+                            { name: 'Delivery', value: letter.deliveryId ? `\`${letter.deliveryId}\`` : 'None', inline: true },
+                            { name: 'Reason', value: letter.reason || 'Unknown', inline: false },
+                        ],
+                        footer: { text: letter.id }
+                    }],
+                    flags: 64
+                }
+            };
+        }
+        
+        case 'replay':
+            await replayDeadLetters(letters);
+            return { type: 4, data: { content: `🔁 Re-queued **${letters.length}** notification(s). Any that fail again will show up in \`/deadletters list\`.`, flags: 64 } };
+        
+        case 'discard':
+            discardDeadLetters(letters);
+            return { type: 4, data: { content: `🗑️ Discarded **${letters.length}** failed notification(s).`, flags: 64 } };
+        
+        default:
+            return { type: 4, data: { content: '❌ Unknown action. Use: list, show, replay, discard', flags: 64 } };
     }
 }
 
-// 5. Settings Command
-async function handleSettingsCommand(args) {
-    const userId = args.userId;
-    if (!userId) {
-        return { type: 4, data: { content: '❌ Could not identify user.' } };
+// 10. Config Command - channel-wide notification settings
+async function handleConfigCommand(args) {
+    if (!args.memberPermissions?.has(PermissionFlagsBits.Administrator)) {
+        return { type: 4, data: { content: '🔒 Only server administrators can change channel settings.', flags: 64 } };
     }
     
-    const action = args.action || 'view';
-    const value = args.value || '';
-    const prefs = getUserPrefs(userId);
+    const channelId = args.channel;
+    const sub = botState.subscriptions.get(channelId);
+    if (!sub) {
+        return { type: 4, data: { content: `❌ <#${channelId}> has no subscriptions. Use \`/subscribe\` first.`, flags: 64 } };
+    }
     
-    switch (action) {
+    switch (args.subcommand) {
         case 'view': {
-            const silentStatus = prefs.silentMode?.enabled 
-                ? `🔇 Until ${new Date(prefs.silentMode.until).toLocaleString()}` 
-                : '🔊 Off';
-            
+            const settings = getChannelSettings(channelId);
             return {
                 type: 4,
                 data: {
                     embeds: [{
-                        title: '⚙️ Your Settings',
+                        title: '⚙️ Channel Settings',
+                        description: `<#${channelId}>`,
                         color: EmbedColors.INFO,
                         fields: [
-                            { name: '📩 DM Notifications', value: prefs.dmNotifications ? '✅ Enabled' : '❌ Disabled', inline: true },
-                            { name: '📊 Digest Mode', value: prefs.digestMode, inline: true },
-                            { name: '🔇 Silent Mode', value: silentStatus, inline: true },
-                            { name: '🔗 GitHub Username', value: prefs.githubUsername || 'Not set', inline: true },
-                            { name: '🔕 Muted Repos', value: prefs.mutedRepos.length > 0 ? prefs.mutedRepos.join(', ') : 'None', inline: false }
+                            { name: '🧺 Coalesce Window', value: settings.coalesceSeconds > 0 ? `${settings.coalesceSeconds}s` : 'Off', inline: true },
+                            { name: '📊 Digest', value: settings.digest, inline: true },
+                            { name: '🔐 Private', value: settings.private ? 'Yes, receives secret scanning alerts' : 'No', inline: true },
+                            { name: '📝 Templates', value: Object.keys(sub.templates || {}).map(e => `\`${e}\``).join(', ') || 'None (default embeds)', inline: false },
                         ]
-                    }]
+                    }],
+                    flags: 64
                 }
             };
         }
         
-        case 'dm': {
-            prefs.dmNotifications = !prefs.dmNotifications;
-            return { type: 4, data: { content: `📩 DM notifications ${prefs.dmNotifications ? '✅ enabled' : '❌ disabled'}.` } };
+        case 'coalesce': {
+            const seconds = args.seconds;
+            if (!Number.isInteger(seconds) || seconds < 0 || seconds > MAX_COALESCE_SECONDS) {
+                return { type: 4, data: { content: `❌ Window must be between 0 and ${MAX_COALESCE_SECONDS} seconds.`, flags: 64 } };
+            }
+            sub.settings = { ...sub.settings, coalesceSeconds: seconds };
+            if (seconds === 0) {
+                delete sub.settings.coalesceSeconds;
+            }
+            await persistSubscription(channelId);
+            return {
+                type: 4,
+                data: {
+                    content: seconds > 0
+                        ? `🧺 Related events in <#${channelId}> are now grouped into one message after **${seconds}s** of quiet.`
+                        : `🧺 Coalescing turned off for <#${channelId}>; every event is sent on its own.`,
+                    flags: 64
+                }
+            };
         }
         
         case 'digest': {
-            if (!['instant', 'hourly', 'daily'].includes(value)) {
-                return { type: 4, data: { content: '❌ Invalid mode. Use: instant, hourly, or daily' } };
+            const mode = args.mode;
+            if (!DIGEST_MODES.includes(mode)) {
+                return { type: 4, data: { content: `❌ Invalid mode. Use: ${DIGEST_MODES.join(', ')}`, flags: 64 } };
             }
-            prefs.digestMode = value;
-            return { type: 4, data: { content: `📊 Digest mode set to **${value}**.` } };
+            sub.settings = { ...sub.settings, digest: mode };
+            if (mode === 'instant') {
+                delete sub.settings.digest;
+            }
+            await persistSubscription(channelId);
+            await updateDigestMode(`channel:${channelId}`, mode);
+            return {
+                type: 4,
+                data: {
+                    content: mode === 'instant'
+                        ? `📊 <#${channelId}> now gets every event as it happens.`
+                        : `📊 <#${channelId}> now gets a **${mode}** digest per repository instead of individual messages.`,
+                    flags: 64
+                }
+            };
         }
         
-        case 'silent_on': {
-            const duration = parseInt(value) || 60;
-            const until = new Date();
-            until.setMinutes(until.getMinutes() + duration);
-            prefs.silentMode = { enabled: true, until: until.toISOString() };
-            return { type: 4, data: { content: `🔇 Silent mode enabled for ${duration} minutes.` } };
+        case 'private': {
+            const enabled = args.enabled === true;
+            sub.settings = { ...sub.settings, private: enabled };
+            if (!enabled) {
+                delete sub.settings.private;
+            }
+            await persistSubscription(channelId);
+            return {
+                type: 4,
+                data: {
+                    content: enabled
+                        ? `🔐 <#${channelId}> is marked private and will receive secret scanning alerts. Make sure only trusted members can read it.`
+                        : `🔓 <#${channelId}> is no longer marked private; secret scanning alerts will not be posted there.`,
+                    flags: 64
+                }
+            };
         }
         
-        case 'silent_off': {
-            prefs.silentMode = { enabled: false, until: null };
-            return { type: 4, data: { content: '🔊 Silent mode disabled.' } };
+        default:
+            return { type: 4, data: { content: '❌ Unknown action. Use: view, coalesce, digest, private', flags: 64 } };
+    }
+}
+
+// ============================================
+// Webhook Lifecycle Events
+// ============================================
+
+// ping (hook created), meta (hook deleted) and repository (renamed, transferred,
+// archived) events are about the hook or the repository itself. They go to
+// every channel covering the repo regardless of its event list and filters, and
+// are never coalesced or held for a digest.
+const WEBHOOK_LIFECYCLE_EVENTS = ['ping', 'meta', 'repository'];
+const NOTIFIED_REPOSITORY_ACTIONS = ['renamed', 'transferred', 'archived', 'unarchived'];
+const DELETED_HOOKS_PATH = path.join(DATA_DIR, 'deleted-hooks.json');
+
+const deletedHookWriter = createJsonFileWriter(DELETED_HOOKS_PATH, () => ({
+    deletedHooks: Array.from(botState.deletedHooks.values()),
+}));
+
+async function loadDeletedHooks() {
+    const data = await readJsonFile(DELETED_HOOKS_PATH, { deletedHooks: [] });
+    botState.deletedHooks.clear();
+    for (const hook of data.deletedHooks || []) {
+        botState.deletedHooks.set(hook.repo.toLowerCase(), hook);
+    }
+    console.log(`[Webhook] Loaded ${botState.deletedHooks.size} deleted hook flag(s)`);
+}
+
+// Whether a lifecycle event is posted to channels; other repository actions
+// (created, edited, privatized...) are not
+function isLifecycleNotice(event, payload) {
+    switch (event) {
+        case 'ping': return true;
+        case 'meta': return payload.action === 'deleted';
+        case 'repository': return NOTIFIED_REPOSITORY_ACTIONS.includes(payload.action);
+        default: return false;
+    }
+}
+
+// The repo's full name before a rename or transfer, or null
+function getPreviousRepoName(payload) {
+    const { repository, changes } = payload;
+    if (payload.action === 'renamed' && changes?.repository?.name?.from) {
+        return `${repository.owner.login}/${changes.repository.name.from}`;
+    }
+    if (payload.action === 'transferred') {
+        const from = changes?.owner?.from?.user?.login || changes?.owner?.from?.organization?.login;
+        return from ? `${from}/${repository.name}` : null;
+    }
+    return null;
+}
+
+// Point every subscription naming the old repo, and exclusions of it, at the
+// new name. Patterns are left alone. Returns the channels that changed.
+async function renameRepoSubscriptions(oldName, newName) {
+    const old = oldName.toLowerCase();
+    const changed = [];
+
+    for (const [channelId, sub] of botState.subscriptions) {
+        let touched = false;
+        const existing = findRepoSubscription(sub, newName);
+        sub.repos = sub.repos.filter(entry => {
+            if (entry.repo.toLowerCase() !== old) return true;
+            touched = true;
+            // Already subscribed under the new name; keep that entry
+            if (existing && existing !== entry) return false;
+            entry.repo = newName;
+            return true;
+        });
+        for (const entry of sub.repos) {
+            if (entry.excludeRepos?.some(pattern => pattern.toLowerCase() === old)) {
+                entry.excludeRepos = entry.excludeRepos.map(pattern => pattern.toLowerCase() === old ? newName : pattern);
+                touched = true;
+            }
         }
-        
-        case 'mute': {
-            if (!value) return { type: 4, data: { content: '❌ Please specify a repository to mute.' } };
-            if (!prefs.mutedRepos.includes(value.toLowerCase())) {
-                prefs.mutedRepos.push(value.toLowerCase());
+        if (touched) {
+            changed.push(channelId);
+        }
+    }
+
+    for (const channelId of changed) {
+        await persistSubscription(channelId);
+    }
+    return changed;
+}
+
+// Apply what a lifecycle event says about the hook or repo before it is posted
+async function applyWebhookLifecycleEvent(event, payload) {
+    const repo = payload.repository?.full_name;
+    if (!repo) return;
+
+    if (event === 'ping') {
+        console.log(`[Webhook] Ping from hook ${payload.hook_id} on ${repo}`);
+        if (botState.deletedHooks.delete(repo.toLowerCase())) {
+            deletedHookWriter.schedule();
+        }
+    } else if (event === 'meta' && payload.action === 'deleted') {
+        console.log(`[Webhook] Hook ${payload.hook_id} on ${repo} was deleted`);
+        botState.deletedHooks.set(repo.toLowerCase(), {
+            repo,
+            hookId: payload.hook_id,
+            deletedAt: new Date().toISOString(),
+            deletedBy: payload.sender?.login || null,
+        });
+        deletedHookWriter.schedule();
+    } else if (event === 'repository') {
+        const previous = getPreviousRepoName(payload);
+        if (!previous) return;
+
+        const channels = await renameRepoSubscriptions(previous, repo);
+        console.log(`[Webhook] ${previous} is now ${repo}; updated subscriptions in ${channels.length} channel(s)`);
+
+        const flag = botState.deletedHooks.get(previous.toLowerCase());
+        if (flag) {
+            botState.deletedHooks.delete(previous.toLowerCase());
+            botState.deletedHooks.set(repo.toLowerCase(), { ...flag, repo });
+            deletedHookWriter.schedule();
+        }
+        for (const installation of botState.installations.values()) {
+            installation.repos = installation.repos.map(r => r.toLowerCase() === previous.toLowerCase() ? repo : r);
+        }
+    }
+}
+
+// Embed fields for ping, meta and repository events
+function renderLifecycleEvent(event, payload) {
+    const repo = payload.repository;
+    switch (event) {
+        case 'ping':
+            return {
+                title: `🏓 Webhook connected: ${repo.full_name}`,
+                url: `${repo.html_url}/settings/hooks`,
+                color: EmbedColors.SUCCESS,
+                description: 'GitHub can reach MeridusBot. Subscribed events from this repository will be posted here.',
+                fields: [
+                    { name: 'Hook ID', value: `${payload.hook_id}`, inline: true },
+                    { name: 'Events', value: payload.hook?.events?.map(e => `\`${e}\``).join(', ').substring(0, 1024) || 'Unknown', inline: false },
+                ],
+            };
+
+        case 'meta':
+            return {
+                title: `⚠️ Webhook deleted: ${repo.full_name}`,
+                url: `${repo.html_url}/settings/hooks`,
+                color: EmbedColors.WARNING,
+                description: 'GitHub will stop sending events from this repository. Recreate the hook with `/webhook create` to keep receiving notifications.',
+                fields: [
+                    { name: 'Hook ID', value: `${payload.hook_id}`, inline: true },
+                    { name: 'Deleted by', value: payload.sender?.login || 'Unknown', inline: true },
+                ],
+            };
+
+        case 'repository': {
+            const previous = getPreviousRepoName(payload);
+            const titles = {
+                renamed: `✏️ Repository renamed: ${repo.full_name}`,
+                transferred: `📦 Repository transferred: ${repo.full_name}`,
+                archived: `🗄️ Repository archived: ${repo.full_name}`,
+                unarchived: `📂 Repository unarchived: ${repo.full_name}`,
+            };
+            const fields = [{ name: 'Changed by', value: payload.sender?.login || 'Unknown', inline: true }];
+            if (previous) {
+                fields.unshift({ name: 'Previously', value: previous, inline: true });
+            }
+            return {
+                title: titles[payload.action],
+                url: repo.html_url,
+                color: payload.action === 'archived' ? EmbedColors.WARNING : EmbedColors.INFO,
+                description: previous
+                    ? `Subscriptions to \`${previous}\` now follow the new name.`
+                    : payload.action === 'archived'
+                        ? 'The repository is read-only; no further activity is expected.'
+                        : 'The repository accepts changes again.',
+                fields,
+            };
+        }
+    }
+}
+
+// ============================================
+// Notification Templates
+// ============================================
+
+// A channel can replace the default embed for an event with a template
+// (/template). Templates are stored on the channel subscription as
+// templates[event] = { title?, body, url? } and rendered against the event
+// payload plus `event`:
+//   {{path.to.value}}                      value, empty if missing
+//   {{#if path}}...{{else}}...{{/if}}      also {{#unless}}
+//   {{#each path}}{{this.x}} {{@number}}{{/each}}
+// Inside #each, names are looked up on the current item first, then outward.
+// Fields not templated (color, footer, and title/url when left out) come from
+// the default embed.
+
+const TEMPLATE_LIMITS = { title: 512, body: 4000, url: 512 };
+const TEMPLATE_BLOCKS = ['if', 'unless', 'each'];
+
+// Parse template source into a tree of text, value and block nodes.
+// Throws on unknown tags and unbalanced blocks.
+function parseTemplate(source) {
+    const root = { type: 'root', children: [] };
+    const stack = [root];
+    const tagPattern = /{{\s*(.*?)\s*}}/g;
+    let last = 0;
+    let match;
+
+    const push = (node) => {
+        const current = stack[stack.length - 1];
+        (current.otherwise || current.children).push(node);
+    };
+
+    while ((match = tagPattern.exec(source))) {
+        if (match.index > last) {
+            push({ type: 'text', text: source.slice(last, match.index) });
+        }
+        last = tagPattern.lastIndex;
+
+        const tag = match[1];
+        const current = stack[stack.length - 1];
+        const open = tag.match(/^#(\w+)\s+(\S+)$/);
+        const close = tag.match(/^\/(\w+)$/);
+
+        if (open) {
+            if (!TEMPLATE_BLOCKS.includes(open[1])) {
+                throw new Error(`unknown block {{#${open[1]}}}`);
+            }
+            const node = { type: open[1], path: open[2], children: [], otherwise: null };
+            push(node);
+            stack.push(node);
+        } else if (close) {
+            if (current.type !== close[1]) {
+                throw new Error(current.type === 'root'
+                    ? `{{/${close[1]}}} has no matching {{#${close[1]}}}`
+                    : `{{/${close[1]}}} found while {{#${current.type}}} is still open`);
+            }
+            stack.pop();
+        } else if (tag === 'else') {
+            if (current.type === 'root' || current.otherwise) {
+                throw new Error('{{else}} must be inside a block and appear once');
+            }
+            current.otherwise = [];
+        } else if (/^(@index|@number|this|[\w-]+)(\.[\w-]+)*$/.test(tag)) {
+            push({ type: 'value', path: tag });
+        } else {
+            throw new Error(`unknown tag {{${tag}}}`);
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new Error(`{{#${stack[stack.length - 1].type}}} is never closed`);
+    }
+    if (last < source.length) {
+        push({ type: 'text', text: source.slice(last) });
+    }
+    return root;
+}
+
+// Resolve a dotted path against the scopes, innermost first
+function lookupTemplateValue(path, scopes) {
+    const [head, ...rest] = path.split('.');
+    let value;
+    if (head === 'this') {
+        value = scopes[0].value;
+    } else if (head === '@index') {
+        return scopes[0].index;
+    } else if (head === '@number') {
+        return scopes[0].index === undefined ? undefined : scopes[0].index + 1;
+    } else {
+        const scope = scopes.find(s => s.value && typeof s.value === 'object' && head in s.value);
+        value = scope?.value[head];
+    }
+    for (const key of rest) {
+        value = value?.[key];
+    }
+    return value;
+}
+
+// Text for a value: lists are joined, and objects show their name, login or title
+function formatTemplateValue(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) {
+        return value.map(formatTemplateValue).filter(Boolean).join(', ');
+    }
+    if (typeof value === 'object') {
+        return `${value.name ?? value.login ?? value.title ?? ''}`;
+    }
+    return String(value);
+}
+
+function isTemplateTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function renderTemplateNodes(nodes, scopes) {
+    let output = '';
+    for (const node of nodes) {
+        switch (node.type) {
+            case 'text':
+                output += node.text;
+                break;
+            case 'value':
+                output += formatTemplateValue(lookupTemplateValue(node.path, scopes));
+                break;
+            case 'if':
+            case 'unless': {
+                const truthy = isTemplateTruthy(lookupTemplateValue(node.path, scopes));
+                const branch = truthy === (node.type === 'if') ? node.children : node.otherwise;
+                output += branch ? renderTemplateNodes(branch, scopes) : '';
+                break;
+            }
+            case 'each': {
+                const items = lookupTemplateValue(node.path, scopes);
+                if (Array.isArray(items) && items.length > 0) {
+                    items.forEach((item, index) => {
+                        output += renderTemplateNodes(node.children, [{ value: item, index }, ...scopes]);
+                    });
+                } else if (node.otherwise) {
+                    output += renderTemplateNodes(node.otherwise, scopes);
+                }
+                break;
+            }
+        }
+    }
+    return output;
+}
+
+function renderTemplate(source, context) {
+    return renderTemplateNodes(parseTemplate(source).children, [{ value: context }]);
+}
+
+// Validate one template. Returns a list of problems.
+function validateTemplate(template) {
+    const errors = [];
+    for (const [key, limit] of Object.entries(TEMPLATE_LIMITS)) {
+        const value = template[key];
+        if (value === undefined && key !== 'body') continue;
+        if (typeof value !== 'string' || (key === 'body' && !value.trim())) {
+            errors.push(`${key} must be ${key === 'body' ? 'a non-empty string' : 'a string'}`);
+            continue;
+        }
+        if (value.length > limit) {
+            errors.push(`${key} is longer than ${limit} characters`);
+            continue;
+        }
+        try {
+            parseTemplate(value);
+        } catch (err) {
+            errors.push(`${key}: ${err.message}`);
+        }
+    }
+    return errors;
+}
+
+// Validate a templates object from the API or an import file.
+// Returns { templates, errors }; templates is undefined when raw is.
+function normalizeChannelTemplates(raw) {
+    if (raw === undefined || raw === null) {
+        return { templates: undefined, errors: [] };
+    }
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+        return { templates: undefined, errors: ['templates must be an object keyed by event'] };
+    }
+
+    const errors = [];
+    const templates = {};
+    for (const [event, template] of Object.entries(raw)) {
+        if (!SUPPORTED_EVENTS.includes(event)) {
+            errors.push(`templates.${event}: unknown event`);
+            continue;
+        }
+        if (!template || typeof template !== 'object' || Array.isArray(template)) {
+            errors.push(`templates.${event} must be an object`);
+            continue;
+        }
+        const templateErrors = validateTemplate(template);
+        errors.push(...templateErrors.map(e => `templates.${event}: ${e}`));
+        if (templateErrors.length === 0) {
+            templates[event] = {
+                ...(template.title ? { title: template.title } : {}),
+                body: template.body,
+                ...(template.url ? { url: template.url } : {}),
+            };
+        }
+    }
+    return { templates, errors };
+}
+
+function getChannelTemplate(channelId, event) {
+    return botState.subscriptions.get(channelId)?.templates?.[event] || null;
+}
+
+// The default embed with its title, URL and body replaced by the template's.
+// Default fields are dropped so a short template gives a short message.
+function renderTemplatedEmbed(template, event, payload) {
+    const defaults = createGitHubEmbed(event, payload);
+    const context = { ...payload, event };
+    // Like the default renderer, templates never get to post a leaked secret
+    if (event === 'secret_scanning_alert' && context.alert) {
+        const { secret, ...alert } = context.alert;
+        context.alert = alert;
+    }
+    const url = template.url ? renderTemplate(template.url, context).trim() : defaults.url;
+
+    return {
+        color: defaults.color,
+        timestamp: defaults.timestamp,
+        footer: defaults.footer,
+        // Length limits are applied when the message is built
+        title: template.title ? renderTemplate(template.title, context).trim() : defaults.title,
+        url: /^https?:\/\//.test(url || '') ? url : undefined,
+        description: renderTemplate(template.body, context).trim() || undefined,
+    };
+}
+
+// Payloads /template preview renders against. Events without their own
+// sample only have repository and sender filled in.
+const TEMPLATE_SAMPLE_BASE = {
+    repository: {
+        name: 'octo-repo',
+        full_name: 'octo-org/octo-repo',
+        html_url: 'https://github.com/octo-org/octo-repo',
+        owner: { login: 'octo-org', avatar_url: 'https://github.com/octo-org.png' },
+        stargazers_count: 1200,
+        forks_count: 42,
+    },
+    sender: { login: 'octocat', html_url: 'https://github.com/octocat' },
+};
+
+const TEMPLATE_SAMPLE_PAYLOADS = {
+    push: {
+        ref: 'refs/heads/main',
+        compare: 'https://github.com/octo-org/octo-repo/compare/1a2b3c4...5d6e7f8',
+        forced: false,
+        pusher: { name: 'octocat' },
+        commits: [
+            { id: '1a2b3c4d5e6f7a8b9c0d', message: 'Fix login redirect', url: 'https://github.com/octo-org/octo-repo/commit/1a2b3c4d5e6f7a8b9c0d', author: { name: 'Mona', username: 'mona' } },
+            { id: '5d6e7f8a9b0c1d2e3f4a', message: 'Update changelog', url: 'https://github.com/octo-org/octo-repo/commit/5d6e7f8a9b0c1d2e3f4a', author: { name: 'Octocat', username: 'octocat' } },
+        ],
+    },
+    pull_request: {
+        action: 'opened',
+        number: 128,
+        pull_request: {
+            number: 128,
+            title: 'Add dark mode',
+            body: 'Adds a dark theme toggle to the settings page.',
+            html_url: 'https://github.com/octo-org/octo-repo/pull/128',
+            state: 'open',
+            merged: false,
+            draft: false,
+            user: { login: 'mona' },
+            head: { ref: 'feature/dark-mode' },
+            base: { ref: 'main' },
+            labels: [{ name: 'enhancement' }, { name: 'ui' }],
+            additions: 240,
+            deletions: 18,
+            changed_files: 9,
+        },
+    },
+    issues: {
+        action: 'opened',
+        issue: {
+            number: 57,
+            title: 'Crash when saving an empty profile',
+            body: 'Steps to reproduce: open settings, clear every field, press save.',
+            html_url: 'https://github.com/octo-org/octo-repo/issues/57',
+            state: 'open',
+            user: { login: 'hubot' },
+            labels: [{ name: 'bug' }, { name: 'priority/high' }],
+            assignees: [{ login: 'mona' }],
+        },
+    },
+    release: {
+        action: 'published',
+        release: {
+            tag_name: 'v2.4.0',
+            name: 'v2.4.0 - Dark mode',
+            body: '## Highlights\n- Dark mode\n- Faster startup',
+            html_url: 'https://github.com/octo-org/octo-repo/releases/tag/v2.4.0',
+            prerelease: false,
+            draft: false,
+            author: { login: 'octocat' },
+        },
+    },
+    workflow_run: {
+        action: 'completed',
+        workflow_run: {
+            name: 'CI',
+            status: 'completed',
+            conclusion: 'failure',
+            head_branch: 'main',
+            head_sha: '5d6e7f8a9b0c1d2e3f4a',
+            run_number: 311,
+            run_attempt: 1,
+            html_url: 'https://github.com/octo-org/octo-repo/actions/runs/311',
+            actor: { login: 'octocat' },
+        },
+    },
+};
+
+function getTemplateSamplePayload(event) {
+    return { ...TEMPLATE_SAMPLE_BASE, ...TEMPLATE_SAMPLE_PAYLOADS[event] };
+}
+
+// 11. Template Command - per-channel notification templates
+async function handleTemplateCommand(args) {
+    if (!args.memberPermissions?.has(PermissionFlagsBits.Administrator)) {
+        return { type: 4, data: { content: '🔒 Only server administrators can manage templates.', flags: 64 } };
+    }
+    
+    const channelId = args.channel;
+    const event = args.event?.trim().toLowerCase();
+    if (!SUPPORTED_EVENTS.includes(event)) {
+        return { type: 4, data: { content: `❌ Unknown event \`${args.event}\`. Supported: ${SUPPORTED_EVENTS.join(', ')}`, flags: 64 } };
+    }
+    
+    const sub = botState.subscriptions.get(channelId);
+    if (!sub && args.subcommand !== 'preview') {
+        return { type: 4, data: { content: `❌ <#${channelId}> has no subscriptions. Use \`/subscribe\` first.`, flags: 64 } };
+    }
+    
+    // Slash command options are single-line, so \n in the body stands for a line break
+    const draft = args.body !== undefined
+        ? {
+            ...(args.title ? { title: args.title } : {}),
+            body: args.body.replace(/\\n/g, '\n'),
+            ...(args.url ? { url: args.url } : {}),
+        }
+        : null;
+    
+    switch (args.subcommand) {
+        case 'set': {
+            const errors = validateTemplate(draft || {});
+            if (errors.length > 0) {
+                return { type: 4, data: { content: `❌ Template not saved:\n${errors.map(e => `• ${e}`).join('\n')}`, flags: 64 } };
             }
-            return { type: 4, data: { content: `🔕 Muted **${value}**.` } };
+            sub.templates = { ...sub.templates, [event]: draft };
+            await persistSubscription(channelId);
+            return {
+                type: 4,
+                data: {
+                    content: `📝 \`${event}\` notifications in <#${channelId}> now use this template:`,
+                    embeds: [renderTemplatedEmbed(draft, event, getTemplateSamplePayload(event))],
+                    flags: 64
+                }
+            };
         }
         
-        case 'unmute': {
-            if (!value) return { type: 4, data: { content: '❌ Please specify a repository to unmute.' } };
-            prefs.mutedRepos = prefs.mutedRepos.filter(r => r !== value.toLowerCase());
-            return { type: 4, data: { content: `🔔 Unmuted **${value}**.` } };
+        case 'preview': {
+            if (draft) {
+                const errors = validateTemplate(draft);
+                if (errors.length > 0) {
+                    return { type: 4, data: { content: `❌ Template has errors:\n${errors.map(e => `• ${e}`).join('\n')}`, flags: 64 } };
+                }
+            }
+            const template = draft || getChannelTemplate(channelId, event);
+            const sample = getTemplateSamplePayload(event);
+            const note = TEMPLATE_SAMPLE_PAYLOADS[event] ? '' : ` (no full sample for \`${event}\`; only repository and sender are filled in)`;
+            return {
+                type: 4,
+                data: {
+                    content: template
+                        ? `👀 Preview of ${draft ? 'the draft' : 'the saved'} \`${event}\` template against a sample payload${note}:\n\`\`\`\n${template.title ? `title: ${template.title}\n` : ''}${template.body.substring(0, 1500)}\n\`\`\``
+                        : `👀 <#${channelId}> uses the default \`${event}\` embed${note}:`,
+                    embeds: [template ? renderTemplatedEmbed(template, event, sample) : createGitHubEmbed(event, sample)],
+                    flags: 64
+                }
+            };
         }
         
-        case 'github_user': {
-            if (!value) return { type: 4, data: { content: '❌ Please specify your GitHub username.' } };
-            prefs.githubUsername = value;
-            return { type: 4, data: { content: `🔗 GitHub username set to **${value}**.` } };
+        case 'reset': {
+            if (!sub.templates?.[event]) {
+                return { type: 4, data: { content: `ℹ️ <#${channelId}> already uses the default \`${event}\` embed.`, flags: 64 } };
+            }
+            delete sub.templates[event];
+            if (Object.keys(sub.templates).length === 0) {
+                delete sub.templates;
+            }
+            await persistSubscription(channelId);
+            return { type: 4, data: { content: `↩️ \`${event}\` notifications in <#${channelId}> are back to the default embed.`, flags: 64 } };
         }
         
         default:
-            return { type: 4, data: { content: '❌ Unknown action. Use: view, dm, digest, silent_on, silent_off, mute, unmute, github_user' } };
+            return { type: 4, data: { content: '❌ Unknown action. Use: set, preview, reset', flags: 64 } };
     }
 }
 
-// 6. Export Command
-async function handleExportCommand(args) {
-    // Check permissions (Admin only)
-    // Note: In original code, permissions would be checked in switch case
-    
-    const data = {
-        exported_at: new Date().toISOString(),
-        subscriptions: Array.from(botState.subscriptions.entries()).map(([channelId, sub]) => ({
-            channelId,
-            ...sub
-        }))
-    };
-    
-    return {
-        type: 4,
-        data: {
-            content: `📤 **${data.subscriptions.length} subscription(s) exported.**\n\`\`\`json\n${JSON.stringify(data, null, 2).substring(0, 1900)}\`\`\``,
-            flags: 64
-        }
-    };
-}
-
 // ============================================
 // GitHub Event Handler
 // ============================================
 
-async function handleGitHubEvent(event, payload) {
+// Last state seen per deployment, so status embeds can show the transition.
+// Kept in memory only: the first status after a restart has no previous state.
+const lastDeploymentStates = new Map(); // deployment id -> { state, previous }
+const MAX_TRACKED_DEPLOYMENTS = 500;
+
+// Store the deployment's previous state on the payload as previous_state
+function recordDeploymentTransition(payload) {
+    const id = payload.deployment?.id;
+    const state = payload.deployment_status?.state;
+    if (!id || !state) return;
+
+    // A redelivered status repeats the last state; keep the transition it showed
+    const last = lastDeploymentStates.get(id);
+    const previous = last?.state === state ? last.previous : last?.state;
+    if (previous) {
+        payload.previous_state = previous;
+    }
+    lastDeploymentStates.delete(id);
+    lastDeploymentStates.set(id, { state, previous });
+    // Map keeps insertion order, so the least recently updated deployment is first
+    if (lastDeploymentStates.size > MAX_TRACKED_DEPLOYMENTS) {
+        lastDeploymentStates.delete(lastDeploymentStates.keys().next().value);
+    }
+}
+
+const STAR_MILESTONES_PATH = path.join(DATA_DIR, 'star-milestones.json');
+
+const starMilestoneWriter = createJsonFileWriter(STAR_MILESTONES_PATH, () => ({
+    starMilestones: Array.from(botState.starMilestones.values()),
+}));
+
+async function loadStarMilestones() {
+    const data = await readJsonFile(STAR_MILESTONES_PATH, { starMilestones: [] });
+    botState.starMilestones.clear();
+    for (const record of data.starMilestones || []) {
+        botState.starMilestones.set(record.repo.toLowerCase(), record);
+    }
+    console.log(`[GitHub] Loaded star milestones for ${botState.starMilestones.size} repo(s)`);
+}
+
+// Record the first star or watch event reaching a milestone for the repo.
+// Later ones at the same count (unstarred and starred again, or the watch and
+// star GitHub sends for one click) get payload.star_milestone_repeat and are
+// posted as ordinary stars.
+function recordStarMilestone(payload, deliveryId = null) {
+    const repo = payload.repository;
+    const stars = repo?.stargazers_count;
+    if (payload.action === 'deleted' || typeof stars !== 'number' || !isStarMilestone(stars)) return;
+
+    const key = repo.full_name.toLowerCase();
+    const record = botState.starMilestones.get(key) || { repo: repo.full_name, announced: {} };
+    // A delivery retried after failing still announces its milestone
+    if (stars in record.announced && (!deliveryId || record.announced[stars] !== deliveryId)) {
+        payload.star_milestone_repeat = true;
+        return;
+    }
+    record.announced[stars] = deliveryId;
+    botState.starMilestones.set(key, record);
+    starMilestoneWriter.schedule();
+}
+
+// Channels whose subscriptions match this event, with the entry that matched
+function getSubscribedChannels(event, payload) {
     const repo = payload.repository?.full_name;
-    if (!repo) return;
+    if (!repo) {
+        return event === 'security_advisory' ? getAdvisoryChannels(payload) : [];
+    }
+
+    const lifecycle = WEBHOOK_LIFECYCLE_EVENTS.includes(event);
+    if (lifecycle && !isLifecycleNotice(event, payload)) return [];
+
+    const matches = [];
+    for (const [channelId, sub] of botState.subscriptions) {
+        // Match on the (channel, repo) pair, its events and its filters;
+        // lifecycle events only need the pair to cover the repo
+        const entry = sub.repos.find(e => lifecycle
+            ? matchesRepoPattern(e.repo, repo) && !e.excludeRepos?.some(pattern => matchesRepoPattern(pattern, repo))
+            : matchesRepoSubscription(e, repo, event, payload));
+        if (!entry) continue;
+        // Leaked secrets only go to channels an admin has marked private
+        if (event === 'secret_scanning_alert' && !getChannelSettings(channelId).private) continue;
+        matches.push({ channelId, entry });
+    }
+    return matches;
+}
+
+// Global security advisories have no repository, so they go to channels
+// with any entry that lists security_advisory explicitly
+function getAdvisoryChannels(payload) {
+    const matches = [];
+    for (const [channelId, sub] of botState.subscriptions) {
+        const entry = sub.repos.find(e => e.events.length > 0 &&
+            matchesEventList(e.events, 'security_advisory', payload) &&
+            meetsMinSeverity(e, 'security_advisory', payload));
+        if (entry) {
+            matches.push({ channelId, entry });
+        }
+    }
+    return matches;
+}
+
+// The Discord messages for an event, usually one. With a channel, its template
+// for the event (if any) replaces the default embed.
+function renderGitHubNotification(event, payload, channelId = null) {
+    if (event === 'digest') {
+        return buildDiscordMessages({ embeds: createDigestEmbeds(payload) });
+    }
+    const template = channelId && getChannelTemplate(channelId, event);
+    if (template) {
+        return buildDiscordMessages({ embeds: [renderTemplatedEmbed(template, event, payload)] });
+    }
+    return buildDiscordMessages({ embeds: [createGitHubEmbed(event, payload)] });
+}
+
+// Queue a notification for every subscribed channel and return their IDs.
+// Resolves once the queue is on disk; sending happens in the queue worker.
+async function handleGitHubEvent(event, payload, delivery = null) {
+    const channels = [];
+    if (event === 'installation' || event === 'installation_repositories') {
+        handleInstallationEvent(event, payload);
+    }
     
-    console.log(`[GitHub] Processing ${event} for ${repo}`);
+    const repo = payload.repository?.full_name;
+    // Global security advisories are the only events handled without a repository
+    const advisory = !repo && event === 'security_advisory';
+    if (!repo && !advisory) {
+        if (delivery) markDeliveryQueued(delivery, channels);
+        return channels;
+    }
     
-    // Find subscriptions for this repo
-    for (const [channelId, sub] of botState.subscriptions) {
-        // Check if repo matches
-        const repoMatch = sub.repos.length === 0 || sub.repos.some(r => 
-            r === repo || r === '*'
-        );
-        
-        if (!repoMatch) continue;
-        
-        // Check if event is enabled
-        const eventMatch = sub.events.length === 0 || sub.events.includes(event);
-        
-        if (!eventMatch) continue;
-        
-        // Send notification
-        const embed = createGitHubEmbed(event, payload);
-        
-        try {
-            const channel = await client.channels.fetch(channelId);
-            if (channel) {
-                await channel.send({ embeds: [embed] });
-                console.log(`[GitHub] Sent notification to ${channelId}`);
+    console.log(`[GitHub] Processing ${event} for ${repo || 'all repositories'}`);
+    
+    const lifecycle = WEBHOOK_LIFECYCLE_EVENTS.includes(event);
+    if (lifecycle) {
+        await applyWebhookLifecycleEvent(event, payload);
+    }
+    if (event === 'deployment_status') {
+        recordDeploymentTransition(payload);
+    }
+    if (event === 'star' || event === 'watch') {
+        recordStarMilestone(payload, delivery?.id);
+    }
+    
+    const subscribed = getSubscribedChannels(event, payload);
+    if (repo && !lifecycle) {
+        collectUserDigests(event, payload, subscribed);
+    }
+    
+    // A failure part-way still finishes the bookkeeping for the channels
+    // already queued, then is rethrown with how many there were
+    const digested = [];
+    let failure = null;
+    try {
+        for (const { channelId, entry } of subscribed) {
+            if (repo) {
+                recordRepoMatch(channelId, entry, repo);
             }
-        } catch (err) {
-            console.error(`[GitHub] Failed to send to ${channelId}:`, err.message);
+            
+            const { coalesceSeconds, digest } = getChannelSettings(channelId);
+            if (lifecycle || advisory) {
+                enqueueNotification(channelId, event, payload, delivery?.id);
+                channels.push(channelId);
+                continue;
+            }
+            
+            if (digest !== 'instant') {
+                addToDigest(`channel:${channelId}`, digest, event, payload);
+                digested.push(channelId);
+                continue;
+            }
+            
+            const group = coalesceSeconds > 0 ? getCoalesceGroup(event, payload) : null;
+            if (group) {
+                coalesceNotification(channelId, group, event, payload, delivery?.id, coalesceSeconds);
+            } else {
+                enqueueNotification(channelId, event, payload, delivery?.id);
+            }
+            channels.push(channelId);
         }
+    } catch (err) {
+        failure = err;
+    }
+    
+    if (delivery) {
+        // Adding to a digest counts as delivered for the delivery log
+        markDeliveryQueued(delivery, [...channels, ...digested]);
+        digested.forEach(channelId => recordDeliveryChannel(delivery.id, channelId, true));
+    }
+    if (digested.length > 0) {
+        console.log(`[GitHub] Added ${event} to the digest of ${digested.length} channel(s)`);
+    }
+    if (channels.length > 0) {
+        console.log(`[GitHub] Queued ${event} notification for ${channels.length} channel(s)`);
+        // Jobs stay in memory and are still sent if this write fails
+        await notificationQueueWriter.flush()
+            .catch(err => console.error('[Queue] Failed to save notification queue:', err.message));
+        processNotificationQueue();
+    }
+    
+    if (failure) {
+        failure.queuedChannels = channels.length + digested.length;
+        throw failure;
+    }
+    return channels;
+}
+
+// Events createGitHubEmbed has a dedicated renderer for
+const SUPPORTED_EVENTS = [
+    'push',
+    'pull_request',
+    'issues',
+    'release',
+    'workflow_run',
+    'workflow_job',
+    'discussion',
+    'discussion_comment',
+    'pull_request_review',
+    'pull_request_review_comment',
+    'create',
+    'delete',
+    'issue_comment',
+    'fork',
+    'watch',
+    'star',
+    'deployment',
+    'deployment_status',
+    'check_run',
+    'check_suite',
+    'status',
+    'dependabot_alert',
+    'code_scanning_alert',
+    'secret_scanning_alert',
+    'security_advisory',
+];
+
+// Emoji and color for a security alert; alerts being closed are shown as resolved
+function getSeverityStyle(severity, action) {
+    if (['fixed', 'dismissed', 'auto_dismissed', 'resolved', 'closed_by_user', 'withdrawn'].includes(action)) {
+        return { emoji: '✅', color: 0x238636 };
+    }
+    switch (severity) {
+        case 'critical':
+            return { emoji: '🚨', color: 0xB60205 };
+        case 'high':
+            return { emoji: '🔴', color: 0xF85149 };
+        case 'medium':
+            return { emoji: '🟠', color: 0xE3B341 };
+        case 'low':
+            return { emoji: '🟡', color: 0x4A9EFF };
+        default:
+            return { emoji: '🛡️', color: 0x6E7681 };
+    }
+}
+
+// CVE and GHSA IDs as links
+function formatAdvisoryIds(advisory) {
+    const ids = [];
+    if (advisory?.cve_id) {
+        ids.push(`[${advisory.cve_id}](https://nvd.nist.gov/vuln/detail/${advisory.cve_id})`);
+    }
+    if (advisory?.ghsa_id) {
+        ids.push(`[${advisory.ghsa_id}](https://github.com/advisories/${advisory.ghsa_id})`);
+    }
+    return ids.join(' • ') || 'None';
+}
+
+// "1m 5s" between two timestamps, or null if either is missing
+function formatElapsed(start, end) {
+    if (!start || !end) return null;
+    const seconds = Math.max(0, Math.round((new Date(end) - new Date(start)) / 1000));
+    return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+// Emoji and color for a check conclusion, commit status or deployment state
+function getOutcomeStyle(state) {
+    switch (state) {
+        case 'success':
+            return { emoji: '✅', color: 0x238636 };
+        case 'failure':
+        case 'error':
+        case 'timed_out':
+        case 'startup_failure':
+            return { emoji: '❌', color: 0xF85149 };
+        case 'cancelled':
+        case 'inactive':
+            return { emoji: '🚫', color: 0xE3B341 };
+        case 'action_required':
+            return { emoji: '⚠️', color: 0xE3B341 };
+        case 'skipped':
+        case 'neutral':
+        case 'stale':
+            return { emoji: '⏭️', color: 0x6E7681 };
+        default:
+            return { emoji: '🟡', color: 0x4A9EFF };
     }
 }
 
+// Star counts that get a celebration instead of the usual star embed:
+// 10, 50, 100, 250, 500, every 1,000 up to 10,000, then every 10,000
+function isStarMilestone(count) {
+    if ([10, 50, 100, 250, 500].includes(count)) return true;
+    if (count >= 1000 && count <= 10000) return count % 1000 === 0;
+    return count > 10000 && count % 10000 === 0;
+}
+
 function createGitHubEmbed(event, payload) {
     const repo = payload.repository;
     const colorMap = {
@@ -2819,6 +7300,7 @@ function createGitHubEmbed(event, payload) {
         release: 0x4A9EFF,
         fork: 0x6E7681,
         watch: 0xE3B341,
+        star: 0xE3B341,
         create: 0x238636,
         delete: 0xF85149,
         workflow_run: 0x4A9EFF,
@@ -2834,6 +7316,7 @@ function createGitHubEmbed(event, payload) {
         release: '🚀',
         fork: '🍴',
         watch: '⭐',
+        star: '⭐',
         create: '✨',
         delete: '🗑️',
         workflow_run: '⚙️',
@@ -2843,10 +7326,11 @@ function createGitHubEmbed(event, payload) {
         pull_request_review: '👁️',
     };
     
+    const sourceNames = { gitlab: 'GitLab', gitea: 'Gitea' };
     const embed = {
         color: colorMap[event] || 0x7289da,
         timestamp: new Date().toISOString(),
-        footer: { text: 'MeridusBot • GitHub' },
+        footer: { text: `MeridusBot • ${sourceNames[payload.source] || 'GitHub'}` },
     };
     
     switch (event) {
@@ -2862,7 +7346,7 @@ function createGitHubEmbed(event, payload) {
                 {
                     name: 'Changes',
                     value: commits.slice(0, 3).map(c => 
-                        `[\`${c.id.slice(0, 7)}\`](${repo.html_url}/commit/${c.id}) ${c.message.split('\n')[0]}`
+                        `[\`${c.id.slice(0, 7)}\`](${c.url || `${repo.html_url}/commit/${c.id}`}) ${c.message.split('\n')[0]}`
                     ).join('\n') || 'No commit info'
                 }
             ];
@@ -2990,82 +7474,363 @@ function createGitHubEmbed(event, payload) {
             }
             break;
             
-        case 'discussion_comment':
-            const discComment = payload.comment;
-            const parentDiscussion = payload.discussion;
-            embed.title = `💬 New comment on: ${parentDiscussion?.title?.substring(0, 60) || 'Discussion'}`;
-            embed.url = discComment.html_url;
+        case 'discussion_comment':
+            const discComment = payload.comment;
+            const parentDiscussion = payload.discussion;
+            embed.title = `💬 New comment on: ${parentDiscussion?.title?.substring(0, 60) || 'Discussion'}`;
+            embed.url = discComment.html_url;
+            embed.fields = [
+                { name: 'Author', value: discComment.user?.login || 'Unknown', inline: true },
+                { name: 'Discussion', value: `[View](${parentDiscussion?.html_url})`, inline: true },
+            ];
+            if (discComment.body) {
+                embed.fields.push({
+                    name: 'Comment',
+                    value: discComment.body.substring(0, 200) + (discComment.body.length > 200 ? '...' : '')
+                });
+            }
+            break;
+            
+        case 'pull_request_review':
+            const review = payload.review;
+            const reviewPR = payload.pull_request;
+            const reviewStateEmoji = review.state === 'approved' ? '✅' :
+                                    review.state === 'changes_requested' ? '❌' :
+                                    review.state === 'commented' ? '💬' : '👁️';
+            embed.title = `${reviewStateEmoji} PR Review ${review.state}: #${reviewPR.number}`;
+            embed.url = review.html_url;
+            embed.fields = [
+                { name: 'Reviewer', value: review.user?.login || 'Unknown', inline: true },
+                { name: 'PR Title', value: reviewPR.title?.substring(0, 60) || 'Unknown', inline: true },
+                { name: 'State', value: review.state, inline: true },
+            ];
+            if (review.body) {
+                embed.fields.push({
+                    name: 'Review Comment',
+                    value: review.body.substring(0, 200) + (review.body.length > 200 ? '...' : '')
+                });
+            }
+            break;
+            
+        case 'pull_request_review_comment':
+            const prComment = payload.comment;
+            const commentPR = payload.pull_request;
+            embed.title = `💬 Review comment on: #${commentPR.number}`;
+            embed.url = prComment.html_url;
+            embed.fields = [
+                { name: 'Commenter', value: prComment.user?.login || 'Unknown', inline: true },
+                { name: 'File', value: `\`${prComment.path?.split('/').pop() || 'Unknown'}\``, inline: true },
+                { name: 'Line', value: `${prComment.line || 'N/A'}`, inline: true },
+            ];
+            if (prComment.body) {
+                embed.fields.push({
+                    name: 'Comment',
+                    value: prComment.body.substring(0, 200) + (prComment.body.length > 200 ? '...' : '')
+                });
+            }
+            break;
+            
+        case 'create':
+            const refType = payload.ref_type;
+            const refName = payload.ref;
+            const createEmoji = refType === 'tag' ? '🏷️' : '🌿';
+            embed.title = `${createEmoji} ${refType === 'tag' ? 'Tag' : 'Branch'} Created: \`${refName}\``;
+            embed.url = `${repo.html_url}/tree/${refName}`;
+            embed.fields = [
+                { name: 'Type', value: refType, inline: true },
+                { name: 'Name', value: `\`${refName}\``, inline: true },
+                { name: 'Created by', value: payload.sender?.login || 'Unknown', inline: true },
+            ];
+            if (refType === 'branch' && payload.master_branch) {
+                embed.fields.push({ 
+                    name: 'Based on', 
+                    value: `\`${payload.master_branch}\``, 
+                    inline: true 
+                });
+            }
+            break;
+            
+        case 'issue_comment':
+            const issueComment = payload.comment;
+            const commentIssue = payload.issue;
+            const commentTarget = commentIssue.pull_request ? 'PR' : 'issue';
+            const commentVerb = payload.action === 'deleted' ? 'deleted' : payload.action === 'edited' ? 'edited' : 'New';
+            embed.title = commentVerb === 'New'
+                ? `${emojiMap.issue_comment} New comment on ${commentTarget} #${commentIssue.number}`
+                : `${emojiMap.issue_comment} Comment ${commentVerb} on ${commentTarget} #${commentIssue.number}`;
+            embed.url = payload.action === 'deleted' ? commentIssue.html_url : issueComment.html_url;
+            embed.color = commentIssue.pull_request ? colorMap.pull_request : colorMap.issue_comment;
+            embed.fields = [
+                { name: 'Author', value: issueComment.user?.login || 'Unknown', inline: true },
+                { name: commentTarget === 'PR' ? 'Pull Request' : 'Issue', value: `[${commentIssue.title?.substring(0, 60) || `#${commentIssue.number}`}](${commentIssue.html_url})`, inline: true },
+            ];
+            if (issueComment.body && payload.action !== 'deleted') {
+                embed.fields.push({
+                    name: 'Comment',
+                    value: issueComment.body.substring(0, 200) + (issueComment.body.length > 200 ? '...' : '')
+                });
+            }
+            break;
+            
+        case 'fork':
+            const forkee = payload.forkee;
+            embed.title = `${emojiMap.fork} ${repo.full_name} forked to ${forkee.full_name}`;
+            embed.url = forkee.html_url;
+            embed.fields = [
+                { name: 'Forked by', value: payload.sender?.login || forkee.owner?.login || 'Unknown', inline: true },
+                { name: 'Fork', value: `[${forkee.full_name}](${forkee.html_url})`, inline: true },
+            ];
+            if (typeof repo.forks_count === 'number') {
+                embed.fields.push({ name: 'Total Forks', value: repo.forks_count.toLocaleString('en-US'), inline: true });
+            }
+            break;
+            
+        // GitHub still sends stars as watch "started" alongside the newer star event
+        case 'watch':
+        case 'star':
+            const stars = repo.stargazers_count;
+            const starRemoved = payload.action === 'deleted';
+            const stargazer = payload.sender;
+            
+            if (!starRemoved && typeof stars === 'number' && isStarMilestone(stars) && !payload.star_milestone_repeat) {
+                embed.title = `🎉 ${repo.full_name} reached ${stars.toLocaleString('en-US')} stars!`;
+                embed.url = `${repo.html_url}/stargazers`;
+                embed.color = 0xFFD700;
+                embed.description = `Thanks to everyone who starred the project. Star #${stars.toLocaleString('en-US')} came from **${stargazer?.login || 'someone'}**.`;
+                if (repo.owner?.avatar_url) {
+                    embed.thumbnail = { url: repo.owner.avatar_url };
+                }
+                break;
+            }
+            
+            embed.title = starRemoved
+                ? `💔 Star removed from ${repo.full_name}`
+                : `${emojiMap.star} New star on ${repo.full_name}`;
+            embed.url = `${repo.html_url}/stargazers`;
+            embed.color = starRemoved ? 0x6E7681 : colorMap.star;
+            embed.fields = [
+                { name: 'Stargazer', value: stargazer?.html_url ? `[${stargazer.login}](${stargazer.html_url})` : stargazer?.login || 'Unknown', inline: true },
+            ];
+            if (typeof stars === 'number') {
+                embed.fields.push({ name: 'Stars', value: stars.toLocaleString('en-US'), inline: true });
+            }
+            break;
+            
+        case 'deployment':
+            const newDeployment = payload.deployment;
+            embed.title = `🚀 Deployment to ${newDeployment.environment} requested`;
+            embed.url = `${repo.html_url}/deployments`;
+            embed.color = 0x4A9EFF;
+            embed.fields = [
+                { name: 'Environment', value: newDeployment.environment || 'Unknown', inline: true },
+                { name: 'Ref', value: `\`${newDeployment.ref}\``, inline: true },
+                { name: 'Deployer', value: newDeployment.creator?.login || payload.sender?.login || 'Unknown', inline: true },
+                { name: 'Commit', value: `\`${newDeployment.sha?.substring(0, 7)}\``, inline: true },
+            ];
+            if (newDeployment.description) {
+                embed.fields.push({ name: 'Description', value: newDeployment.description.substring(0, 200) });
+            }
+            break;
+            
+        case 'deployment_status':
+            const deployment = payload.deployment;
+            const deployStatus = payload.deployment_status;
+            const deployStyle = getOutcomeStyle(deployStatus.state);
+            embed.title = `${deployStyle.emoji} Deployment ${deployStatus.state}: ${deployment.environment}`;
+            embed.url = deployStatus.log_url || deployStatus.target_url || deployStatus.environment_url || `${repo.html_url}/deployments`;
+            embed.color = deployStyle.color;
+            embed.fields = [
+                { name: 'Environment', value: deployment.environment || 'Unknown', inline: true },
+                {
+                    name: 'State',
+                    value: payload.previous_state && payload.previous_state !== deployStatus.state
+                        ? `${payload.previous_state} → **${deployStatus.state}**`
+                        : `**${deployStatus.state}**`,
+                    inline: true
+                },
+                { name: 'Deployer', value: deployment.creator?.login || payload.sender?.login || 'Unknown', inline: true },
+                { name: 'Ref', value: `\`${deployment.ref}\``, inline: true },
+            ];
+            if (['success', 'failure', 'error'].includes(deployStatus.state)) {
+                const deployTime = formatElapsed(deployment.created_at, deployStatus.created_at);
+                if (deployTime) {
+                    embed.fields.push({ name: 'Duration', value: deployTime, inline: true });
+                }
+            }
+            const deployLinks = [
+                deployStatus.environment_url && `[Open environment](${deployStatus.environment_url})`,
+                (deployStatus.log_url || deployStatus.target_url) && `[View logs](${deployStatus.log_url || deployStatus.target_url})`,
+            ].filter(Boolean);
+            if (deployLinks.length > 0) {
+                embed.fields.push({ name: 'Links', value: deployLinks.join(' • '), inline: false });
+            }
+            if (deployStatus.description) {
+                embed.fields.push({ name: 'Description', value: deployStatus.description.substring(0, 200) });
+            }
+            break;
+            
+        case 'check_run':
+            const checkRun = payload.check_run;
+            const checkRunState = checkRun.conclusion || checkRun.status;
+            const checkRunStyle = getOutcomeStyle(checkRun.conclusion);
+            embed.title = `${checkRunStyle.emoji} Check ${checkRunState.replace(/_/g, ' ')}: ${checkRun.name}`;
+            embed.url = checkRun.details_url || checkRun.html_url;
+            embed.color = checkRunStyle.color;
+            embed.fields = [
+                { name: 'App', value: checkRun.app?.name || 'Unknown', inline: true },
+                { name: 'Branch', value: `\`${checkRun.check_suite?.head_branch || 'Unknown'}\``, inline: true },
+                { name: 'Commit', value: `\`${checkRun.head_sha?.substring(0, 7)}\``, inline: true },
+            ];
+            const checkRunTime = formatElapsed(checkRun.started_at, checkRun.completed_at);
+            if (checkRunTime) {
+                embed.fields.push({ name: 'Duration', value: checkRunTime, inline: true });
+            }
+            if (checkRun.output?.title) {
+                embed.fields.push({ name: 'Summary', value: checkRun.output.title.substring(0, 200), inline: false });
+            }
+            if (checkRun.html_url) {
+                embed.fields.push({ name: 'Logs', value: `[View details](${checkRun.html_url})`, inline: true });
+            }
+            break;
+            
+        case 'check_suite':
+            const checkSuite = payload.check_suite;
+            const checkSuiteState = checkSuite.conclusion || checkSuite.status;
+            const checkSuiteStyle = getOutcomeStyle(checkSuite.conclusion);
+            embed.title = `${checkSuiteStyle.emoji} Check suite ${checkSuiteState.replace(/_/g, ' ')}: ${checkSuite.app?.name || 'checks'}`;
+            embed.url = `${repo.html_url}/commit/${checkSuite.head_sha}/checks`;
+            embed.color = checkSuiteStyle.color;
+            embed.fields = [
+                { name: 'Branch', value: `\`${checkSuite.head_branch || 'Unknown'}\``, inline: true },
+                { name: 'Commit', value: `\`${checkSuite.head_sha?.substring(0, 7)}\``, inline: true },
+                { name: 'Check Runs', value: `${checkSuite.latest_check_runs_count ?? 'Unknown'}`, inline: true },
+            ];
+            const checkSuiteTime = checkSuite.status === 'completed' ? formatElapsed(checkSuite.created_at, checkSuite.updated_at) : null;
+            if (checkSuiteTime) {
+                embed.fields.push({ name: 'Duration', value: checkSuiteTime, inline: true });
+            }
+            break;
+            
+        case 'status':
+            const statusStyle = getOutcomeStyle(payload.state);
+            embed.title = `${statusStyle.emoji} Commit status ${payload.state}: ${payload.context}`;
+            embed.url = payload.target_url || payload.commit?.html_url;
+            embed.color = statusStyle.color;
+            embed.fields = [
+                { name: 'Context', value: payload.context || 'default', inline: true },
+                { name: 'State', value: payload.state, inline: true },
+                { name: 'Commit', value: payload.commit?.html_url ? `[\`${payload.sha.substring(0, 7)}\`](${payload.commit.html_url})` : `\`${payload.sha?.substring(0, 7)}\``, inline: true },
+            ];
+            if (payload.branches?.length) {
+                embed.fields.push({ name: 'Branches', value: payload.branches.slice(0, 5).map(b => `\`${b.name}\``).join(', '), inline: true });
+            }
+            if (payload.description) {
+                embed.fields.push({ name: 'Description', value: payload.description.substring(0, 200), inline: false });
+            }
+            if (payload.target_url) {
+                embed.fields.push({ name: 'Logs', value: `[View details](${payload.target_url})`, inline: true });
+            }
+            break;
+            
+        case 'dependabot_alert':
+            const depAlert = payload.alert;
+            const depAdvisory = depAlert.security_advisory;
+            const depVuln = depAlert.security_vulnerability;
+            const depPackage = depVuln?.package || depAlert.dependency?.package;
+            const depSeverity = getEventSeverity(event, payload);
+            const depStyle = getSeverityStyle(depSeverity, payload.action);
+            embed.title = `${depStyle.emoji} Dependabot alert ${payload.action.replace(/_/g, ' ')}: ${depPackage?.name || 'dependency'}`;
+            embed.url = depAlert.html_url;
+            embed.color = depStyle.color;
+            embed.description = depAdvisory?.summary?.substring(0, 300);
             embed.fields = [
-                { name: 'Author', value: discComment.user?.login || 'Unknown', inline: true },
-                { name: 'Discussion', value: `[View](${parentDiscussion?.html_url})`, inline: true },
+                { name: 'Severity', value: depSeverity || 'Unknown', inline: true },
+                { name: 'Package', value: depPackage ? `\`${depPackage.ecosystem}/${depPackage.name}\`` : 'Unknown', inline: true },
+                { name: 'Affected', value: `\`${depVuln?.vulnerable_version_range || 'Unknown'}\``, inline: true },
+                { name: 'Patched in', value: depVuln?.first_patched_version?.identifier ? `\`${depVuln.first_patched_version.identifier}\`` : 'No fix yet', inline: true },
+                { name: 'Manifest', value: `\`${depAlert.dependency?.manifest_path || 'Unknown'}\``, inline: true },
+                { name: 'Advisory', value: formatAdvisoryIds(depAdvisory), inline: false },
             ];
-            if (discComment.body) {
-                embed.fields.push({
-                    name: 'Comment',
-                    value: discComment.body.substring(0, 200) + (discComment.body.length > 200 ? '...' : '')
-                });
-            }
             break;
             
-        case 'pull_request_review':
-            const review = payload.review;
-            const reviewPR = payload.pull_request;
-            const reviewStateEmoji = review.state === 'approved' ? '✅' :
-                                    review.state === 'changes_requested' ? '❌' :
-                                    review.state === 'commented' ? '💬' : '👁️';
-            embed.title = `${reviewStateEmoji} PR Review ${review.state}: #${reviewPR.number}`;
-            embed.url = review.html_url;
+        case 'code_scanning_alert':
+            const codeAlert = payload.alert;
+            const codeRule = codeAlert.rule || {};
+            const codeInstance = codeAlert.most_recent_instance;
+            const codeLocation = codeInstance?.location;
+            const codeSeverity = getEventSeverity(event, payload);
+            const codeStyle = getSeverityStyle(codeSeverity, payload.action);
+            embed.title = `${codeStyle.emoji} Code scanning alert ${payload.action.replace(/_/g, ' ')}: ${(codeRule.description || codeRule.name || codeRule.id || 'Unknown rule').substring(0, 100)}`;
+            embed.url = codeAlert.html_url;
+            embed.color = codeStyle.color;
             embed.fields = [
-                { name: 'Reviewer', value: review.user?.login || 'Unknown', inline: true },
-                { name: 'PR Title', value: reviewPR.title?.substring(0, 60) || 'Unknown', inline: true },
-                { name: 'State', value: review.state, inline: true },
+                { name: 'Severity', value: codeSeverity || 'Unknown', inline: true },
+                { name: 'Rule', value: `\`${codeRule.id || 'Unknown'}\``, inline: true },
+                { name: 'Tool', value: codeAlert.tool?.name || 'Unknown', inline: true },
             ];
-            if (review.body) {
-                embed.fields.push({
-                    name: 'Review Comment',
-                    value: review.body.substring(0, 200) + (review.body.length > 200 ? '...' : '')
-                });
+            if (codeLocation?.path) {
+                const codeLines = codeLocation.end_line && codeLocation.end_line !== codeLocation.start_line
+                    ? `${codeLocation.start_line}-${codeLocation.end_line}`
+                    : `${codeLocation.start_line}`;
+                embed.fields.push({ name: 'Location', value: `\`${codeLocation.path}:${codeLines}\``, inline: false });
+            }
+            if (codeInstance?.ref) {
+                embed.fields.push({ name: 'Branch', value: `\`${codeInstance.ref.replace(/^refs\/heads\//, '')}\``, inline: true });
             }
             break;
             
-        case 'pull_request_review_comment':
-            const prComment = payload.comment;
-            const commentPR = payload.pull_request;
-            embed.title = `💬 Review comment on: #${commentPR.number}`;
-            embed.url = prComment.html_url;
+        // Never include alert.secret: the channel may be private, but Discord is not the place for it
+        case 'secret_scanning_alert':
+            const secretAlert = payload.alert;
+            const secretStyle = getSeverityStyle('critical', payload.action);
+            embed.title = `${payload.action === 'resolved' ? '✅' : '🔑'} Secret scanning alert ${payload.action.replace(/_/g, ' ')}: ${secretAlert.secret_type_display_name || secretAlert.secret_type}`;
+            embed.url = secretAlert.html_url;
+            embed.color = secretStyle.color;
             embed.fields = [
-                { name: 'Commenter', value: prComment.user?.login || 'Unknown', inline: true },
-                { name: 'File', value: `\`${prComment.path?.split('/').pop() || 'Unknown'}\``, inline: true },
-                { name: 'Line', value: `${prComment.line || 'N/A'}`, inline: true },
+                { name: 'Secret Type', value: secretAlert.secret_type_display_name || secretAlert.secret_type || 'Unknown', inline: true },
+                { name: 'Alert', value: `#${secretAlert.number}`, inline: true },
+                { name: 'State', value: secretAlert.resolution ? `${secretAlert.state} (${secretAlert.resolution.replace(/_/g, ' ')})` : secretAlert.state || 'open', inline: true },
             ];
-            if (prComment.body) {
-                embed.fields.push({
-                    name: 'Comment',
-                    value: prComment.body.substring(0, 200) + (prComment.body.length > 200 ? '...' : '')
-                });
+            if (secretAlert.validity && secretAlert.validity !== 'unknown') {
+                embed.fields.push({ name: 'Validity', value: secretAlert.validity, inline: true });
+            }
+            if (secretAlert.push_protection_bypassed) {
+                embed.fields.push({ name: '⚠️ Push Protection', value: `Bypassed by ${secretAlert.push_protection_bypassed_by?.login || 'someone'}`, inline: true });
             }
             break;
             
-        case 'create':
-            const refType = payload.ref_type;
-            const refName = payload.ref;
-            const createEmoji = refType === 'tag' ? '🏷️' : '🌿';
-            embed.title = `${createEmoji} ${refType === 'tag' ? 'Tag' : 'Branch'} Created: \`${refName}\``;
-            embed.url = `${repo.html_url}/tree/${refName}`;
+        case 'security_advisory':
+            const advisory = payload.security_advisory;
+            const advisorySeverity = getEventSeverity(event, payload);
+            const advisoryStyle = getSeverityStyle(advisorySeverity, payload.action);
+            embed.title = `${advisoryStyle.emoji} Security advisory ${payload.action}: ${advisory.summary?.substring(0, 180) || advisory.ghsa_id}`;
+            embed.url = advisory.html_url || `https://github.com/advisories/${advisory.ghsa_id}`;
+            embed.color = advisoryStyle.color;
             embed.fields = [
-                { name: 'Type', value: refType, inline: true },
-                { name: 'Name', value: `\`${refName}\``, inline: true },
-                { name: 'Created by', value: payload.sender?.login || 'Unknown', inline: true },
+                { name: 'Severity', value: advisorySeverity || 'Unknown', inline: true },
+                { name: 'IDs', value: formatAdvisoryIds(advisory), inline: true },
             ];
-            if (refType === 'branch' && payload.master_branch) {
-                embed.fields.push({ 
-                    name: 'Based on', 
-                    value: `\`${payload.master_branch}\``, 
-                    inline: true 
+            if (advisory.vulnerabilities?.length) {
+                embed.fields.push({
+                    name: 'Affected Packages',
+                    value: advisory.vulnerabilities.slice(0, 5).map(v =>
+                        `\`${v.package?.ecosystem}/${v.package?.name}\` ${v.vulnerable_version_range || ''}${v.first_patched_version?.identifier ? ` → ${v.first_patched_version.identifier}` : ''}`
+                    ).join('\n').substring(0, 1024),
+                    inline: false
                 });
             }
             break;
             
+        case 'coalesced':
+            Object.assign(embed, renderCoalescedSummary(payload));
+            break;
+            
+        case 'ping':
+        case 'meta':
+        case 'repository':
+            Object.assign(embed, renderLifecycleEvent(event, payload));
+            break;
+            
         case 'delete':
             const delType = payload.ref_type;
             const delName = payload.ref;
@@ -3095,6 +7860,9 @@ client.once('ready', async () => {
     console.log(`[Discord] Bot logged in as ${client.user.tag}`);
     botState.connected = true;
     
+    // Send anything that queued up while we were offline
+    processNotificationQueue();
+    
     // Set bot activity
     client.user.setActivity({
         name: 'GitHub Repositories',
@@ -3123,15 +7891,64 @@ client.once('ready', async () => {
                 },
                 {
                     name: 'repo',
-                    description: 'GitHub repository (owner/repo)',
+                    description: 'GitHub repository (owner/repo) or pattern (owner/*, owner/service-*)',
                     type: 3, // STRING
                     required: true,
                 },
                 {
                     name: 'events',
-                    description: 'Events to receive (comma-separated)',
+                    description: 'Events to receive, e.g. push,pull_request.opened (comma-separated)',
+                    type: 3, // STRING
+                    required: false,
+                },
+                {
+                    name: 'exclude',
+                    description: 'Repos to skip when repo is a pattern, e.g. owner/legacy-* (comma-separated)',
+                    type: 3, // STRING
+                    required: false,
+                },
+                {
+                    name: 'branches',
+                    description: 'Branch/tag globs, e.g. main,release/*,!dependabot/** (comma-separated)',
+                    type: 3, // STRING
+                    required: false,
+                },
+                {
+                    name: 'labels',
+                    description: 'Issue/PR labels to include, prefix with ! to exclude (comma-separated)',
+                    type: 3, // STRING
+                    required: false,
+                },
+                {
+                    name: 'authors',
+                    description: 'Issue/PR authors to allow, prefix with ! to deny (comma-separated)',
+                    type: 3, // STRING
+                    required: false,
+                },
+                {
+                    name: 'senders',
+                    description: 'Event senders to allow, prefix with ! to deny (comma-separated)',
+                    type: 3, // STRING
+                    required: false,
+                },
+                {
+                    name: 'ignore_bots',
+                    description: 'Skip events sent by bots such as dependabot[bot]',
+                    type: 5, // BOOLEAN
+                    required: false,
+                },
+                {
+                    name: 'failures_only',
+                    description: 'Only post failed checks, commit statuses, deployments and workflow runs',
+                    type: 5, // BOOLEAN
+                    required: false,
+                },
+                {
+                    name: 'min_severity',
+                    description: 'Lowest severity of security alerts to post',
                     type: 3, // STRING
                     required: false,
+                    choices: SEVERITY_LEVELS.map(level => ({ name: level, value: level })),
                 },
             ],
         },
@@ -3151,6 +7968,12 @@ client.once('ready', async () => {
                     type: 3,
                     required: false,
                 },
+                {
+                    name: 'events',
+                    description: 'Only stop these events for the repo (comma-separated)',
+                    type: 3,
+                    required: false,
+                },
             ],
         },
         {
@@ -3266,13 +8089,39 @@ client.once('ready', async () => {
         },
         {
             name: 'webhook',
-            description: 'Check webhook status for a repository',
+            description: 'Check or manage the MeridusBot webhook on a repository',
             options: [
                 {
-                    name: 'repo',
-                    description: 'GitHub repository (owner/repo)',
-                    type: 3,
-                    required: true,
+                    name: 'status',
+                    description: 'Show the webhooks configured on a repository',
+                    type: 1, // SUB_COMMAND
+                    options: [
+                        { name: 'repo', description: 'GitHub repository (owner/repo)', type: 3, required: true },
+                    ],
+                },
+                {
+                    name: 'create',
+                    description: 'Create (or update) the MeridusBot webhook for subscribed events',
+                    type: 1, // SUB_COMMAND
+                    options: [
+                        { name: 'repo', description: 'GitHub repository (owner/repo)', type: 3, required: true },
+                    ],
+                },
+                {
+                    name: 'sync',
+                    description: 'Update the existing webhook to the currently subscribed events',
+                    type: 1, // SUB_COMMAND
+                    options: [
+                        { name: 'repo', description: 'GitHub repository (owner/repo)', type: 3, required: true },
+                    ],
+                },
+                {
+                    name: 'delete',
+                    description: 'Remove the MeridusBot webhook from a repository',
+                    type: 1, // SUB_COMMAND
+                    options: [
+                        { name: 'repo', description: 'GitHub repository (owner/repo)', type: 3, required: true },
+                    ],
                 },
             ],
         },
@@ -3546,9 +8395,201 @@ client.once('ready', async () => {
         },
         {
             name: 'export',
-            description: 'Export all subscriptions as JSON (Admin only)',
+            description: 'Export the subscriptions in this server as JSON (Admin only)',
             default_member_permissions: '8', // Administrator
         },
+        {
+            name: 'import',
+            description: 'Import subscriptions from an /export file (Admin only)',
+            default_member_permissions: '8', // Administrator
+            options: [
+                {
+                    name: 'file',
+                    description: 'JSON file produced by /export',
+                    type: 11, // ATTACHMENT
+                    required: true,
+                },
+                {
+                    name: 'mode',
+                    description: 'Merge into existing subscriptions or replace them all',
+                    type: 3,
+                    required: false,
+                    choices: [
+                        { name: 'Merge', value: 'merge' },
+                        { name: 'Replace', value: 'replace' },
+                    ],
+                },
+                {
+                    name: 'dry_run',
+                    description: 'Only preview the changes (default: true)',
+                    type: 5, // BOOLEAN
+                    required: false,
+                },
+            ],
+        },
+        {
+            name: 'deliveries',
+            description: 'Show recent GitHub webhook deliveries (Admin only)',
+            default_member_permissions: '8', // Administrator
+            options: [
+                {
+                    name: 'repo',
+                    description: 'Only deliveries for this repository (owner/repo)',
+                    type: 3,
+                    required: false,
+                },
+                {
+                    name: 'outcome',
+                    description: 'Only deliveries with this outcome',
+                    type: 3,
+                    required: false,
+                    choices: [
+                        { name: 'Delivered', value: 'delivered' },
+                        { name: 'Partially delivered', value: 'partial' },
+                        { name: 'No subscribers', value: 'no_subscribers' },
+                        { name: 'Failed', value: 'failed' },
+                    ],
+                },
+                {
+                    name: 'limit',
+                    description: 'Number of deliveries to show (max 25)',
+                    type: 4, // INTEGER
+                    required: false,
+                    min_value: 1,
+                    max_value: 25,
+                },
+            ],
+        },
+        {
+            name: 'template',
+            description: 'Customize how a channel\'s notifications look (Admin only)',
+            default_member_permissions: '8', // Administrator
+            options: [
+                {
+                    name: 'set',
+                    description: 'Use a template for one event in a channel',
+                    type: 1, // SUB_COMMAND
+                    options: [
+                        { name: 'channel', description: 'Subscribed channel', type: 7, required: true },
+                        { name: 'event', description: 'Event name, e.g. release', type: 3, required: true },
+                        { name: 'body', description: 'Message text; {{path}}, {{#if}}, {{#each}} and \\n for line breaks', type: 3, required: true, max_length: TEMPLATE_LIMITS.body },
+                        { name: 'title', description: 'Embed title (defaults to the usual title)', type: 3, required: false, max_length: TEMPLATE_LIMITS.title },
+                        { name: 'url', description: 'Link for the title (defaults to the usual link)', type: 3, required: false, max_length: TEMPLATE_LIMITS.url },
+                    ],
+                },
+                {
+                    name: 'preview',
+                    description: 'Render the saved template, or a draft, against a sample payload',
+                    type: 1, // SUB_COMMAND
+                    options: [
+                        { name: 'channel', description: 'Channel', type: 7, required: true },
+                        { name: 'event', description: 'Event name, e.g. release', type: 3, required: true },
+                        { name: 'body', description: 'Draft message text to try without saving', type: 3, required: false, max_length: TEMPLATE_LIMITS.body },
+                        { name: 'title', description: 'Draft embed title', type: 3, required: false, max_length: TEMPLATE_LIMITS.title },
+                        { name: 'url', description: 'Draft title link', type: 3, required: false, max_length: TEMPLATE_LIMITS.url },
+                    ],
+                },
+                {
+                    name: 'reset',
+                    description: 'Go back to the default embed for one event',
+                    type: 1, // SUB_COMMAND
+                    options: [
+                        { name: 'channel', description: 'Subscribed channel', type: 7, required: true },
+                        { name: 'event', description: 'Event name, e.g. release', type: 3, required: true },
+                    ],
+                },
+            ],
+        },
+        {
+            name: 'config',
+            description: 'Configure how a channel receives notifications (Admin only)',
+            default_member_permissions: '8', // Administrator
+            options: [
+                {
+                    name: 'view',
+                    description: 'Show a channel\'s settings',
+                    type: 1, // SUB_COMMAND
+                    options: [
+                        { name: 'channel', description: 'Subscribed channel', type: 7, required: true },
+                    ],
+                },
+                {
+                    name: 'coalesce',
+                    description: 'Group bursts of related events into one message',
+                    type: 1, // SUB_COMMAND
+                    options: [
+                        { name: 'channel', description: 'Subscribed channel', type: 7, required: true },
+                        { name: 'seconds', description: `Quiet period before sending a group (0 turns it off, max ${MAX_COALESCE_SECONDS})`, type: 4, required: true, min_value: 0, max_value: MAX_COALESCE_SECONDS },
+                    ],
+                },
+                {
+                    name: 'digest',
+                    description: 'Send an hourly or daily summary instead of individual messages',
+                    type: 1, // SUB_COMMAND
+                    options: [
+                        { name: 'channel', description: 'Subscribed channel', type: 7, required: true },
+                        {
+                            name: 'mode',
+                            description: 'How often to send',
+                            type: 3,
+                            required: true,
+                            choices: DIGEST_MODES.map(mode => ({ name: mode, value: mode })),
+                        },
+                    ],
+                },
+                {
+                    name: 'private',
+                    description: 'Mark a channel as private so it can receive secret scanning alerts',
+                    type: 1, // SUB_COMMAND
+                    options: [
+                        { name: 'channel', description: 'Subscribed channel', type: 7, required: true },
+                        { name: 'enabled', description: 'Whether the channel is private', type: 5, required: true },
+                    ],
+                },
+            ],
+        },
+        {
+            name: 'deadletters',
+            description: 'Review and replay notifications that could not be sent (Admin only)',
+            default_member_permissions: '8', // Administrator
+            options: [
+                {
+                    name: 'list',
+                    description: 'List failed notifications',
+                    type: 1, // SUB_COMMAND
+                    options: [
+                        { name: 'repo', description: 'Only this repository (owner/repo)', type: 3, required: false },
+                        { name: 'limit', description: 'Number to show (max 25)', type: 4, required: false, min_value: 1, max_value: 25 },
+                    ],
+                },
+                {
+                    name: 'show',
+                    description: 'Show the details of a failed notification',
+                    type: 1, // SUB_COMMAND
+                    options: [
+                        { name: 'id', description: 'ID from /deadletters list', type: 3, required: true },
+                    ],
+                },
+                {
+                    name: 'replay',
+                    description: 'Send failed notifications again',
+                    type: 1, // SUB_COMMAND
+                    options: [
+                        { name: 'id', description: 'ID from /deadletters list, or "all"', type: 3, required: true },
+                        { name: 'repo', description: 'With "all", only this repository (owner/repo)', type: 3, required: false },
+                    ],
+                },
+                {
+                    name: 'discard',
+                    description: 'Delete failed notifications without sending them',
+                    type: 1, // SUB_COMMAND
+                    options: [
+                        { name: 'id', description: 'ID from /deadletters list, or "all"', type: 3, required: true },
+                        { name: 'repo', description: 'With "all", only this repository (owner/repo)', type: 3, required: false },
+                    ],
+                },
+            ],
+        },
     ];
     
     try {
@@ -3559,6 +8600,31 @@ client.once('ready', async () => {
     }
 });
 
+// Commands that call GitHub or download an attachment before answering.
+// They are deferred so a slow round trip cannot miss Discord's 3-second
+// deadline; the value is whether the reply is only shown to the user.
+// /subscribe is ephemeral because most of its answers are validation errors.
+const DEFERRED_COMMANDS = {
+    subscribe: true,
+    import: true,
+};
+
+// Answer an interaction, editing the placeholder if it was deferred. Replies
+// too long for one message continue in follow-ups with the same visibility.
+// Ephemerality is fixed by the first response, so flags are not sent on edits.
+async function sendInteractionReply(interaction, data) {
+    const [reply, ...rest] = buildDiscordMessages(data);
+    if (interaction.deferred || interaction.replied) {
+        const { flags, ...edit } = reply;
+        await interaction.editReply(edit);
+    } else {
+        await interaction.reply(reply);
+    }
+    for (const message of rest) {
+        await interaction.followUp({ ...message, ...(interaction.ephemeral ? { flags: 64 } : {}) });
+    }
+}
+
 client.on('interactionCreate', async (interaction) => {
     if (!interaction.isCommand()) return;
 
@@ -3567,6 +8633,9 @@ client.on('interactionCreate', async (interaction) => {
     console.log(`[Discord] Options data:`, options.data);
 
     try {
+        if (commandName in DEFERRED_COMMANDS) {
+            await interaction.deferReply(DEFERRED_COMMANDS[commandName] ? { flags: 64 } : {});
+        }
         const response = await handleSlashCommand(
             commandName,
             options.data || [],
@@ -3576,11 +8645,14 @@ client.on('interactionCreate', async (interaction) => {
         );
         
         if (response) {
-            await interaction.reply(response.data || { content: 'Done' });
+            await sendInteractionReply(interaction, response.data || { content: 'Done' });
+        } else if (interaction.deferred) {
+            await interaction.deleteReply();
         }
     } catch (err) {
         console.error('[Discord] Command error:', err);
-        await interaction.reply({ content: `❌ Error: ${err.message}` });
+        await sendInteractionReply(interaction, { content: `❌ Error: ${err.message}` })
+            .catch(replyErr => console.error('[Discord] Could not send error reply:', replyErr.message));
     }
 });
 
@@ -3592,16 +8664,50 @@ client.on('error', (err) => {
 // Start Server
 // ============================================
 
-// Start Express server
-app.listen(PORT, () => {
-    console.log(`[Server] Web server running on port ${PORT}`);
-});
+// Only start when run directly, so scripts can require the pipeline
+if (require.main === module) {
+    // Load persisted subscriptions before accepting webhooks, so early deliveries
+    // are not matched against an empty subscription set
+    loadSubscriptions()
+        .then(loadNotificationQueue)
+        .then(loadDeliveryLog)
+        .then(loadDeadLetters)
+        .then(loadDigests)
+        .then(loadUserPreferences)
+        .then(loadDeletedHooks)
+        .then(loadStarMilestones)
+        .then(() => {
+            processNotificationQueue();
+            startDigestScheduler()
+                .catch(err => console.error('[Digest] Failed to send digests:', err.message));
+            app.listen(PORT, () => {
+                console.log(`[Server] Web server running on port ${PORT}`);
+            });
+            syncGitHubAppInstallations()
+                .catch(err => console.error('[GitHubApp] Failed to load installations:', err.message));
+        })
+        .catch(err => {
+            // Refuse to start rather than overwrite unreadable data with an empty set
+            console.error('[Storage] Failed to load persisted data:', err);
+            process.exit(1);
+        });
 
-// Login to Discord
-if (DISCORD_BOT_TOKEN) {
-    client.login(DISCORD_BOT_TOKEN);
-} else {
-    console.log('[Bot] DISCORD_BOT_TOKEN not set, running web server only');
+    // Login to Discord
+    if (DISCORD_BOT_TOKEN) {
+        client.login(DISCORD_BOT_TOKEN);
+    } else {
+        console.log('[Bot] DISCORD_BOT_TOKEN not set, running web server only');
+    }
 }
 
-module.exports = { app, client, botState };
+module.exports = {
+    app,
+    client,
+    botState,
+    // Notification pipeline, used by scripts/replay-webhook.js
+    loadSubscriptions,
+    getSubscribedChannels,
+    renderGitHubNotification,
+    SUPPORTED_EVENTS,
+    WEBHOOK_LIFECYCLE_EVENTS,
+};
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+/**
+ * MeridusBot - Webhook Replay Tool
+ *
+ * Runs a saved GitHub webhook payload through the same subscription matching
+ * and rendering as a live delivery, then prints the Discord message JSON or
+ * posts it to a channel.
+ *
+ * Fixtures are either a raw GitHub payload (pass --event) or a file recorded
+ * by the bot with WEBHOOK_RECORD_DIR set.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { REST } = require('@discordjs/rest');
+const { Routes } = require('discord.js');
+
+const USAGE = `Usage: npm run replay -- <fixture.json> [options]
+
+Options:
+  --event <name>     GitHub event name (read from recorded fixtures if omitted)
+  --channel <id>     Only check this channel's subscriptions; required for --post
+  --all              Skip subscription matching and just render the message
+  --post             Send the message to --channel using DISCORD_BOT_TOKEN
+  --help             Show this help`;
+
+function parseArgs(argv) {
+    const args = { fixture: null, event: null, channel: null, all: false, post: false, help: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--event':
+            case '--channel':
+                if (!argv[i + 1] || argv[i + 1].startsWith('--')) {
+                    throw new Error(`${arg} needs a value`);
+                }
+                args[arg.slice(2)] = argv[++i];
+                break;
+            case '--all':
+            case '--post':
+            case '--help':
+                args[arg.slice(2)] = true;
+                break;
+            default:
+                if (arg.startsWith('--') || args.fixture) {
+                    throw new Error(`Unexpected argument: ${arg}`);
+                }
+                args.fixture = arg;
+        }
+    }
+    return args;
+}
+
+// Recorded fixtures wrap the payload as { event, deliveryId, receivedAt, payload }
+function readFixture(filePath, eventOverride) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const recorded = data && typeof data.event === 'string' && data.payload && typeof data.payload === 'object';
+    const event = eventOverride || (recorded ? data.event : null);
+    if (!event) {
+        throw new Error('This fixture is a raw payload; pass --event <name>');
+    }
+    return { event, payload: recorded ? data.payload : data };
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help || !args.fixture) {
+        (args.help ? console.log : console.error)(USAGE);
+        return args.help ? 0 : 1;
+    }
+    if (args.post && !args.channel) {
+        throw new Error('--post needs --channel <id>');
+    }
+
+    const { event, payload } = readFixture(path.resolve(args.fixture), args.event);
+
+    // Keep stdout for the message JSON; the bot's own logging goes to stderr
+    console.log = console.error;
+    const {
+        loadSubscriptions,
+        getSubscribedChannels,
+        renderGitHubNotification,
+        SUPPORTED_EVENTS,
+        WEBHOOK_LIFECYCLE_EVENTS,
+    } = require('../index.js');
+
+    if (!SUPPORTED_EVENTS.includes(event) && !WEBHOOK_LIFECYCLE_EVENTS.includes(event)) {
+        console.error(`⚠️  "${event}" has no dedicated renderer; the generic embed will be used`);
+    }
+
+    if (!args.all) {
+        await loadSubscriptions();
+        const matches = getSubscribedChannels(event, payload)
+            .filter(({ channelId }) => !args.channel || channelId === args.channel);
+
+        if (matches.length === 0) {
+            const target = args.channel ? `channel ${args.channel}` : 'any channel';
+            console.error(`No subscription in ${target} matches this ${event} event (use --all to render anyway)`);
+            return 1;
+        }
+        for (const { channelId, entry } of matches) {
+            console.error(`✓ channel ${channelId} matches ${entry.repo}`);
+        }
+    }
+
+    // A channel's template for the event is used when --channel is given.
+    // Notifications too long for one Discord message are split into several.
+    const messages = renderGitHubNotification(event, payload, args.channel);
+
+    if (!args.post) {
+        const output = messages.length === 1 ? messages[0] : messages;
+        process.stdout.write(`${JSON.stringify(output, null, 2)}\n`);
+        return 0;
+    }
+
+    if (!process.env.DISCORD_BOT_TOKEN) {
+        throw new Error('DISCORD_BOT_TOKEN is not set');
+    }
+    const rest = new REST({ version: '10' }).setToken(process.env.DISCORD_BOT_TOKEN);
+    for (const { allowedMentions, ...message } of messages) {
+        // The REST API takes the snake_case name discord.js maps allowedMentions to
+        const sent = await rest.post(Routes.channelMessages(args.channel), {
+            body: { ...message, allowed_mentions: allowedMentions },
+        });
+        console.error(`📨 Posted message ${sent.id} to channel ${args.channel}`);
+    }
+    return 0;
+}
+
+main()
+    .then(code => {
+        process.exitCode = code;
+    })
+    .catch(err => {
+        console.error(`❌ ${err.message}`);
+        process.exitCode = 1;
+    });